@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { escapeHtml } from '../scripts/utils/html.mjs';
 
 /**
  * Vercel serverless function to handle email approval clicks
@@ -107,7 +108,7 @@ export default async function handler(req, res) {
           <div class="container">
             <h1>❌ Approval Failed</h1>
             <p>There was an error processing your approval. Please try again or contact support.</p>
-            <div class="error">${error.message}</div>
+            <div class="error">${escapeHtml(error.message)}</div>
           </div>
         </body>
       </html>
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Status Report PDF Exporter
+ *
+ * Renders the generated HTML reports to paginated PDFs with Playwright
+ * (the same dependency capture-screenshots.cjs uses). Each page gets a
+ * header with the report title and audience, and a footer with the report
+ * date and "Page N of M".
+ *
+ * By default only the variants that send-email.mjs attaches a PDF to ("pdf"
+ * in a client's attachments, or "attachPdf": true, in config/report.json)
+ * are exported; pass --all to export every variant. The PDF paths are added
+ * to reports/manifest.json (outputs.pdf) so send-email.mjs can find them.
+ *
+ * Prerequisites: npx playwright install chromium
+ *
+ * Optional environment variables:
+ * - REPORT_MANIFEST_PATH: Report manifest (default: reports/manifest.json)
+ * - REPORT_PDF_FORMAT: Paper size (default: A4; e.g. Letter)
+ *
+ * Usage: node scripts/export-pdf.mjs [--all]
+ *
+ * Input: reports/manifest.json and the HTML reports it lists (from generate-report.mjs)
+ * Output: reports/<variant>.pdf
+ */
+
+import { chromium } from 'playwright';
+import fs from 'fs';
+import path from 'path';
+import { escapeHtml } from './utils/html.mjs';
+
+const MANIFEST_PATH = process.env.REPORT_MANIFEST_PATH || path.join(process.cwd(), 'reports', 'manifest.json');
+const PAPER_FORMAT = process.env.REPORT_PDF_FORMAT || 'A4';
+const EXPORT_ALL = process.argv.includes('--all');
+
+const REPORT_TITLE = 'Product Features & Development Status Report';
+
+async function exportPdfs() {
+  let browser;
+  let failed = false;
+  try {
+    if (!fs.existsSync(MANIFEST_PATH)) {
+      throw new Error(`Report manifest not found: ${MANIFEST_PATH} (run generate-report.mjs first)`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+    const variants = (manifest.variants || []).filter(variant => EXPORT_ALL || variant.attachPdf);
+    if (variants.length === 0) {
+      console.log('No report variants need a PDF (add "pdf" to a client\'s "attachments", or pass --all)');
+      return;
+    }
+
+    browser = await chromium.launch();
+    const page = await browser.newPage();
+
+    for (const variant of variants) {
+      if (!variant.path) {
+        throw new Error(`No HTML report for ${variant.id}; run generate-report.mjs with --format html`);
+      }
+      const htmlPath = path.join(process.cwd(), variant.path);
+      if (!fs.existsSync(htmlPath)) {
+        throw new Error(`Report file not found: ${htmlPath}`);
+      }
+
+      const pdfPath = path.join(path.dirname(MANIFEST_PATH), `${variant.id}.pdf`);
+      await page.goto(`file://${htmlPath}`, { waitUntil: 'load' });
+      await page.pdf({
+        path: pdfPath,
+        format: PAPER_FORMAT,
+        printBackground: true,
+        displayHeaderFooter: true,
+        headerTemplate: headerTemplate(variant),
+        footerTemplate: footerTemplate(manifest.reportDate),
+        margin: { top: '20mm', bottom: '20mm', left: '12mm', right: '12mm' }
+      });
+
+      variant.outputs = { ...variant.outputs, pdf: path.relative(process.cwd(), pdfPath) };
+      console.log(`Wrote PDF for ${variant.id} to ${pdfPath}`);
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+    console.log(`\nExported ${variants.length} PDF(s); updated ${MANIFEST_PATH}`);
+
+  } catch (error) {
+    console.error('Error exporting PDF:', error.message);
+    failed = true;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+
+  // Exit only after the browser is closed, or Chromium is left running
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Page header: report title and audience
+ * Header/footer templates are rendered outside the page, so they need their
+ * own inline styles (the default font size is 0).
+ *
+ * @param {object} variant - Manifest variant
+ * @returns {string}
+ */
+function headerTemplate(variant) {
+  const audience = variant.audience === 'internal' ? 'Internal' : variant.title;
+  return `
+<div style="width: 100%; font-size: 8px; color: #7f8c8d; padding: 0 12mm; display: flex; justify-content: space-between;">
+  <span>${escapeHtml(REPORT_TITLE)}</span>
+  <span>${escapeHtml(audience)}</span>
+</div>`;
+}
+
+/**
+ * Page footer: report date and page numbers
+ *
+ * @param {string} reportDate - Formatted report date
+ * @returns {string}
+ */
+function footerTemplate(reportDate) {
+  return `
+<div style="width: 100%; font-size: 8px; color: #7f8c8d; padding: 0 12mm; display: flex; justify-content: space-between;">
+  <span>${escapeHtml(reportDate)}</span>
+  <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+</div>`;
+}
+
+// Run the exporter
+exportPdfs();
@@ -3,91 +3,114 @@
 /**
  * Notion Database Fetcher
  *
- * Fetches data from a Notion database and outputs JSON for pipeline processing.
+ * Fetches data from one or more Notion databases and outputs JSON for
+ * pipeline processing. Databases are fetched concurrently and every item is
+ * tagged with the database it came from.
+ *
+ * Fetches are incremental: pages are cached in data/notion-cache.json, and
+ * later runs only query the pages edited since the last sync (two queries,
+ * one of them for ids only). Every NOTION_SWEEP_EVERY runs an id-only sweep
+ * of the whole matching set also spots pages that disappeared without an
+ * edit (archived, deleted or unshared); it costs as many requests as a full
+ * fetch. Pass --full to ignore the cache; replayed runs always fetch in full.
+ *
+ * Databases are listed in config/notion-databases.json (see
+ * config/notion-databases.example.json). Without that file, the single
+ * database in NOTION_DATABASE_ID is fetched.
  *
  * Required environment variables:
- * - NOTION_API_TOKEN: Notion integration token
- * - NOTION_DATABASE_ID: Notion database ID
+ * - NOTION_API_TOKEN: Notion integration token (unless every database sets tokenEnv)
+ * - NOTION_DATABASE_ID: Notion database ID (only without a databases file)
  *
- * Output: data/notion-raw.json
+ * Optional environment variables:
+ * - NOTION_DATABASES_PATH: Database list (default: config/notion-databases.json)
+ * - NOTION_MAPPING_PATH: Property mapping file (default: config/notion-mapping.json)
+ * - NOTION_QUERY_PATH: Filter/sort spec (default: config/notion-query.json, optional)
+ * - REPORT_CONFIG_PATH: Report config whose clients and closed statuses the
+ *   query spec can reference (default: config/report.json)
+ * - NOTION_FETCH_CONTENT: Set to 'true' to also fetch page bodies and comments
+ *   (same as passing --with-content)
+ * - NOTION_SNAPSHOT_RETENTION: Number of snapshots to keep (default: 60)
+ * - NOTION_CACHE_PATH: Page cache file (default: data/notion-cache.json)
+ * - NOTION_FULL_REFRESH: Set to 'true' to ignore the cache (same as passing --full)
+ * - NOTION_SWEEP_EVERY: Sweep the whole matching set every this many runs (default: 7;
+ *   1 sweeps every run)
+ * - NOTION_API_BASE_URL: API base URL, e.g. a local stub server (default: https://api.notion.com/v1)
+ * - NOTION_RECORD_DIR: Record every API response as a fixture file in this directory
+ * - NOTION_REPLAY_DIR: Replay responses from fixture files instead of calling Notion
+ *   (no token required)
+ *
+ * Output: data/notion-raw.json, plus an archived copy in data/snapshots/ and
+ * the updated page cache
  */
 
 import { config } from 'dotenv';
 import fs from 'fs';
 import path from 'path';
+import { loadPropertyMapping, mapPage } from './utils/notion-properties.mjs';
+import { loadQuerySpec, buildQuery, editedSinceQuery } from './utils/notion-query.mjs';
+import { loadReportConfig, reportQueryValues } from './utils/report-config.mjs';
+import { createNotionClient } from './utils/notion-client.mjs';
+import { fetchPageContent, fetchComments, latestNote } from './utils/notion-content.mjs';
+import { writeSnapshot } from './utils/snapshots.mjs';
+import { DEFAULT_CACHE_PATH, loadCache, saveCache, cachePage, planSync } from './utils/notion-cache.mjs';
+import { SCHEMA_VERSION, assertValidNotionRaw } from './utils/notion-raw-schema.mjs';
 
 // Load environment variables
 config();
 
 const NOTION_TOKEN = process.env.NOTION_API_TOKEN;
 const DATABASE_ID = process.env.NOTION_DATABASE_ID;
+const DATABASES_PATH = process.env.NOTION_DATABASES_PATH || path.join(process.cwd(), 'config', 'notion-databases.json');
+const MAPPING_PATH = process.env.NOTION_MAPPING_PATH || path.join(process.cwd(), 'config', 'notion-mapping.json');
+const QUERY_PATH = process.env.NOTION_QUERY_PATH || path.join(process.cwd(), 'config', 'notion-query.json');
+const REPORT_CONFIG_PATH = process.env.REPORT_CONFIG_PATH || path.join(process.cwd(), 'config', 'report.json');
+const SNAPSHOT_RETENTION = Number(process.env.NOTION_SNAPSHOT_RETENTION) || 60;
+const API_BASE_URL = process.env.NOTION_API_BASE_URL || undefined;
+const RECORD_DIR = process.env.NOTION_RECORD_DIR || undefined;
+const REPLAY_DIR = process.env.NOTION_REPLAY_DIR || undefined;
+const CACHE_PATH = process.env.NOTION_CACHE_PATH || DEFAULT_CACHE_PATH;
+const FULL_REFRESH = process.argv.includes('--full') || process.env.NOTION_FULL_REFRESH === 'true';
+const SWEEP_EVERY = Number(process.env.NOTION_SWEEP_EVERY) || 7;
+const FETCH_CONTENT = process.argv.includes('--with-content') || process.env.NOTION_FETCH_CONTENT === 'true';
 
-// Validate required environment variables
-if (!NOTION_TOKEN) {
-  console.error('Error: Missing required environment variable: NOTION_API_TOKEN');
-  process.exit(1);
-}
+// Notion rounds last_edited_time down to the minute, so incremental queries
+// start a minute before the minute of the last sync
+const SYNC_OVERLAP_MS = 60 * 1000;
 
-if (!DATABASE_ID) {
-  console.error('Error: Missing required environment variable: NOTION_DATABASE_ID');
+let databases;
+let reportValues;
+try {
+  databases = loadDatabaseList();
+  // The query spec filters on the report's clients and statuses
+  reportValues = fs.existsSync(REPORT_CONFIG_PATH) ? reportQueryValues(loadReportConfig(REPORT_CONFIG_PATH)) : undefined;
+} catch (error) {
+  console.error(`Error: ${error.message}`);
   process.exit(1);
 }
 
-const headers = {
-  'Authorization': `Bearer ${NOTION_TOKEN}`,
-  'Notion-Version': '2022-06-28',
-  'Content-Type': 'application/json'
-};
-
 async function fetchNotionData() {
   try {
-    console.log('Fetching Notion database metadata...');
-    const dbMetaRes = await fetch(`https://api.notion.com/v1/databases/${DATABASE_ID}`, { headers });
-
-    if (!dbMetaRes.ok) {
-      const errorText = await dbMetaRes.text();
-      console.error(`Database fetch failed: ${dbMetaRes.status}`);
-      console.error('Response:', errorText);
-      process.exit(1);
+    if (REPLAY_DIR) {
+      console.log(`Replaying recorded responses from ${REPLAY_DIR}`);
+    } else if (RECORD_DIR) {
+      console.log(`Recording responses to ${RECORD_DIR}`);
     }
+    console.log(`Fetching ${databases.length} Notion database(s): ${databases.map(db => db.label || db.id).join(', ')}`);
+    const cache = loadCache(CACHE_PATH);
+    // Incremental queries contain the last sync time, which no recording can match
+    const useCache = !FULL_REFRESH && !REPLAY_DIR;
+    const sources = await Promise.all(databases.map(db => fetchDatabase(db, useCache ? cache.databases[db.id] : null)));
 
-    const dbMeta = await dbMetaRes.json();
-    const dbTitle = dbMeta.title?.[0]?.plain_text || 'Unknown Database';
-    console.log(`Database title: ${dbTitle}`);
-
-    // Query database
-    console.log('Querying database...');
-    const dbRes = await fetch(`https://api.notion.com/v1/databases/${DATABASE_ID}/query`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({
-        page_size: 100
-      })
+    // Labels default to the database title, so duplicates can only be caught now
+    sources.forEach((source, i) => {
+      const other = sources.findIndex(entry => entry.label === source.label);
+      if (other !== i) {
+        throw new Error(`Databases ${sources[other].id} and ${source.id} are both labelled "${source.label}"; set a distinct "label" in ${DATABASES_PATH}`);
+      }
     });
 
-    if (!dbRes.ok) {
-      const errorText = await dbRes.text();
-      console.error(`Database query failed: ${dbRes.status}`);
-      console.error('Response:', errorText);
-      process.exit(1);
-    }
-
-    const dbData = await dbRes.json();
-    console.log(`Found ${dbData.results.length} items in database`);
-
-    // Extract relevant data from each item
-    const items = dbData.results.map(item => {
-      const props = item.properties;
-      return {
-        id: item.id,
-        name: props.Name?.title?.[0]?.plain_text || 'Untitled',
-        status: props.Status?.status?.name || 'No status',
-        priority: props.Priority?.select?.name || 'No priority',
-        updates: props.Updates?.rich_text?.map(t => t.plain_text).join('') || '',
-        client: props.Client?.select?.name || 'Unknown',
-        url: item.url
-      };
-    });
+    const items = sources.flatMap(source => source.items);
 
     // Ensure data directory exists
     const dataDir = path.join(process.cwd(), 'data');
@@ -97,19 +120,50 @@ async function fetchNotionData() {
 
     // Write JSON output
     const output = {
-      database: {
-        title: dbTitle,
-        id: DATABASE_ID
-      },
+      schemaVersion: SCHEMA_VERSION,
+      databases: sources.map(source => ({
+        id: source.id,
+        label: source.label,
+        title: source.title,
+        itemCount: source.items.length,
+        pageCount: source.pageCount,
+        sync: source.sync
+      })),
       items,
       fetchedAt: new Date().toISOString(),
       itemCount: items.length
     };
 
+    // Refuse to hand malformed data to the report generator
+    assertValidNotionRaw(output, 'Fetched data');
+
     const outputPath = path.join(dataDir, 'notion-raw.json');
     fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
 
-    console.log(`\nSuccessfully wrote ${items.length} items to ${outputPath}`);
+    // Archive a dated copy so later reports can show what changed
+    const snapshotPath = writeSnapshot(output, { retention: SNAPSHOT_RETENTION });
+
+    // Only cache a run that made it all the way through (and came from Notion)
+    if (!REPLAY_DIR) {
+      saveCache({
+        version: cache.version,
+        databases: Object.fromEntries(sources.map(source => [source.id, source.cacheEntry]))
+      }, CACHE_PATH);
+    }
+
+    console.log(`\nSuccessfully wrote ${items.length} items from ${sources.length} database(s) to ${outputPath}`);
+    console.log(`Snapshot: ${snapshotPath}`);
+    sources.forEach(source => {
+      console.log(`  ${source.label}: ${source.items.length} items (${source.pageCount} page(s), ${source.sync} sync)`);
+    });
+
+    const retryLog = sources.flatMap(source => source.retryLog);
+    if (retryLog.length > 0) {
+      console.log(`Recovered from ${retryLog.length} transient API error(s):`);
+      retryLog.forEach(entry => {
+        console.log(`  ${entry.at} ${entry.method} ${entry.endpoint} - ${entry.reason} (waited ${entry.delayMs}ms)`);
+      });
+    }
     return output;
 
   } catch (error) {
@@ -118,5 +172,344 @@ async function fetchNotionData() {
   }
 }
 
+/**
+ * Read the list of databases to fetch
+ * Falls back to NOTION_DATABASE_ID when no databases file exists. Each entry
+ * may name its own token (via tokenEnv), mapping file and query spec.
+ *
+ * @returns {Array<{id: string, label?: string, token: string, mappingPath: string, queryPath: string}>}
+ */
+function loadDatabaseList() {
+  let entries;
+  if (fs.existsSync(DATABASES_PATH)) {
+    entries = JSON.parse(fs.readFileSync(DATABASES_PATH, 'utf-8')).databases;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`${DATABASES_PATH} must contain a non-empty "databases" array`);
+    }
+  } else if (DATABASE_ID) {
+    entries = [{ id: DATABASE_ID }];
+  } else {
+    throw new Error('Missing required environment variable: NOTION_DATABASE_ID');
+  }
+
+  // Items are grouped into report sections by label, so two boards must not share one
+  const seen = new Map();
+  entries.forEach((entry, i) => {
+    [['id', entry.id], ['label', entry.label]].forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (seen.has(`${key}:${value}`)) {
+        throw new Error(`databases[${i}] has the same ${key} "${value}" as databases[${seen.get(`${key}:${value}`)}]`);
+      }
+      seen.set(`${key}:${value}`, i);
+    });
+  });
+
+  return entries.map((entry, i) => {
+    if (!entry.id) {
+      throw new Error(`databases[${i}] is missing "id"`);
+    }
+
+    // Replayed responses need no credentials
+    const token = (entry.tokenEnv ? process.env[entry.tokenEnv] : NOTION_TOKEN) || (REPLAY_DIR && 'replay');
+    if (!token) {
+      throw new Error(`Missing required environment variable: ${entry.tokenEnv || 'NOTION_API_TOKEN'} (for database ${entry.label || entry.id})`);
+    }
+
+    return {
+      id: entry.id,
+      label: entry.label,
+      token,
+      mappingPath: entry.mapping ? path.resolve(entry.mapping) : MAPPING_PATH,
+      queryPath: entry.query ? path.resolve(entry.query) : QUERY_PATH
+    };
+  });
+}
+
+/**
+ * Fetch and map every item of a single database
+ *
+ * @param {object} db - Entry from loadDatabaseList()
+ * @param {object|null} cached - This database's entry in the page cache, if any
+ * @returns {Promise<object>} - Source metadata plus mapped items, retry log
+ *   and the new cache entry
+ */
+async function fetchDatabase(db, cached) {
+  const notion = createNotionClient({
+    token: db.token,
+    baseUrl: API_BASE_URL,
+    recordDir: RECORD_DIR,
+    replayDir: REPLAY_DIR
+  });
+
+  // Metadata first, so every log line carries the label (which defaults to the title)
+  const dbMeta = await notion.getDatabase(db.id);
+  const dbTitle = dbMeta.title?.[0]?.plain_text || 'Unknown Database';
+  const label = db.label || dbTitle;
+  const log = message => console.log(`[${label}] ${message}`);
+  log(`Database ${db.id}, title: ${dbTitle}`);
+
+  const mapping = loadPropertyMapping(db.mappingPath);
+  log(`Using property mapping: ${db.mappingPath}`);
+  checkMappingAgainstSchema(mapping, dbMeta.properties || {}, label);
+
+  // Translate the filter/sort spec into a Notion query body
+  const querySpec = loadQuerySpec(db.queryPath);
+  const query = buildQuery(querySpec, { mapping, dbProperties: dbMeta.properties || {}, reportValues });
+  if (querySpec) {
+    log(`Using query spec: ${db.queryPath}`);
+    log(`  Filter: ${query.filter ? JSON.stringify(query.filter) : 'none'}`);
+    log(`  Sorts: ${query.sorts ? JSON.stringify(query.sorts) : 'none'}`);
+  }
+
+  // Edits made while this run is in progress are picked up by the next one
+  const syncedAt = new Date().toISOString();
+  let results;
+  let pageCount;
+  let refreshed = null;
+  let swept = true;
+  if (cached) {
+    log(`Syncing changes since ${cached.syncedAt}...`);
+    ({ results, pageCount, refreshed, swept } = await syncPages(notion, db.id, query, cached, mapping, log));
+  } else {
+    // Query database, following pagination cursors until exhausted
+    log(FULL_REFRESH || REPLAY_DIR ? 'Full refresh; querying database...' : 'No cached data; querying database...');
+    ({ results, pageCount } = await queryAllPages(notion, db.id, query, log));
+  }
+  log(`Found ${results.length} items across ${pageCount} page(s)`);
+
+  // Extract mapped fields from each item and tag it with its source
+  const items = results.map(page => ({
+    ...mapPage(page, mapping),
+    lastEditedTime: page.last_edited_time,
+    source: label,
+    sourceDatabaseId: db.id
+  }));
+
+  if (FETCH_CONTENT) {
+    log(`Fetching page content and comments for ${items.length} items...`);
+    await addPageContent(notion, items, cached?.pages || {}, refreshed, log);
+  }
+
+  const cacheEntry = {
+    syncedAt,
+    queryKey: queryKey(query),
+    runsSinceSweep: swept ? 0 : cached.runsSinceSweep + 1,
+    pages: Object.fromEntries(results.map((page, i) => [page.id, cachePage(page, items[i].content)]))
+  };
+
+  return {
+    id: db.id,
+    label,
+    title: dbTitle,
+    items,
+    pageCount,
+    sync: cached ? 'incremental' : 'full',
+    retryLog: notion.retryLog,
+    cacheEntry
+  };
+}
+
+/**
+ * Bring cached pages up to date
+ * Queries only the pages edited since the last sync (starting a little
+ * earlier, since Notion rounds last_edited_time down to the minute), plus
+ * the ids of every page edited since then whether or not it still matches
+ * (requesting just the title property), to drop pages an edit took out of
+ * the query. Pages that left without an edit (archived, deleted, unshared)
+ * are only noticed by a sweep listing the ids of every matching page, which
+ * costs as much as a full query and so runs every SWEEP_EVERY runs, after
+ * the query changed, or when the filter cannot take an edit-time condition.
+ * Pages the sweep finds that were neither cached nor edited (e.g. after the
+ * filter changed) are downloaded one by one, and cached pages that no longer
+ * appear are looked up once to report why they left.
+ *
+ * @param {object} notion - Notion client
+ * @param {string} databaseId - Database to query
+ * @param {object} query - Query body fragment with optional filter and sorts
+ * @param {object} cached - This database's cache entry (syncedAt, pages, queryKey, runsSinceSweep)
+ * @param {object} mapping - Property mapping (to name removed pages)
+ * @param {function(string): void} log - Logger prefixed with the database label
+ * @returns {Promise<{results: Array<object>, pageCount: number, refreshed: Set<string>, swept: boolean}>} -
+ *   Pages in query order (between sweeps, newly matching pages follow the
+ *   cached ones), the ids of pages downloaded this run, and whether every
+ *   matching page was listed
+ */
+async function syncPages(notion, databaseId, query, cached, mapping, log) {
+  const since = new Date(Math.floor(Date.parse(cached.syncedAt) / 60000) * 60000 - SYNC_OVERLAP_MS).toISOString();
+  const editedQuery = editedSinceQuery(query, since);
+  if (!editedQuery) {
+    log('Filter is nested too deeply to add an edit-time condition; querying full database...');
+    const { results, pageCount } = await queryAllPages(notion, databaseId, query, log);
+    return { results, pageCount, refreshed: new Set(results.map(page => page.id)), swept: true };
+  }
+
+  const edited = await queryAllPages(notion, databaseId, editedQuery, log);
+  const fresh = new Map(edited.results.map(page => [page.id, page]));
+
+  const swept = cached.queryKey !== queryKey(query) || !(cached.runsSinceSweep + 1 < SWEEP_EVERY);
+  let members;
+  let listed;
+  if (swept) {
+    log('Sweeping every matching page to notice removed pages...');
+    listed = await queryAllPages(notion, databaseId, query, log, ['title']);
+    members = listed.results;
+  } else {
+    listed = await queryAllPages(notion, databaseId, editedSinceQuery({}, since), log, ['title']);
+    const left = new Set(listed.results.map(page => page.id).filter(id => cached.pages[id] && !fresh.has(id)));
+    members = [
+      ...Object.keys(cached.pages).filter(id => !left.has(id)),
+      ...[...fresh.keys()].filter(id => !cached.pages[id])
+    ].map(id => ({ id }));
+  }
+
+  const { missing, unchanged, removed } = planSync(cached.pages, members, new Set(fresh.keys()));
+  log(`${fresh.size} edited since ${since}, ${missing.length} newly matching, ${unchanged.length} unchanged, ${removed.length} gone since last run`);
+
+  await Promise.all(missing.map(async member => {
+    fresh.set(member.id, await notion.getPage(member.id));
+  }));
+
+  await Promise.all(removed.map(async id => {
+    const name = mapPage(cached.pages[id].page, mapping).name || id;
+    log(`  Removed "${name}": ${await removalReason(notion, id)}`);
+  }));
+
+  const results = members.map(member => fresh.get(member.id) || cached.pages[member.id].page);
+  return { results, pageCount: edited.pageCount + listed.pageCount, refreshed: new Set(fresh.keys()), swept };
+}
+
+/**
+ * Identify a query in the cache, so a changed filter or sort triggers a sweep
+ *
+ * @param {object} query - Query body fragment with optional filter and sorts
+ * @returns {string}
+ */
+function queryKey(query) {
+  return JSON.stringify(query);
+}
+
+/**
+ * Work out why a cached page is no longer returned by the query
+ *
+ * @param {object} notion - Notion client
+ * @param {string} pageId - Page ID
+ * @returns {Promise<string>}
+ */
+async function removalReason(notion, pageId) {
+  try {
+    const page = await notion.getPage(pageId);
+    return page.archived || page.in_trash ? 'archived' : 'no longer matches the query';
+  } catch (error) {
+    if (error.status === 404) {
+      return 'deleted or no longer shared with the integration';
+    }
+    throw error;
+  }
+}
+
+/**
+ * Attach page body, recent comments and the latest note to each item
+ * Page bodies are reused from the cache unless the page was downloaded again
+ * this run (editing a block bumps the page's last_edited_time, so the
+ * edited query returns it). Comments do not, so they are always fetched.
+ * Comments need the integration's "Read comments" capability; without it
+ * they are skipped with a warning instead of failing the run.
+ *
+ * @param {object} notion - Notion client
+ * @param {Array<object>} items - Mapped items (modified in place)
+ * @param {object} cachedPages - `pages` of the cached database
+ * @param {Set<string>|null} refreshed - Pages downloaded this run (null: all of them)
+ * @param {function(string): void} log - Logger prefixed with the database label
+ */
+async function addPageContent(notion, items, cachedPages, refreshed, log) {
+  let commentsEnabled = true;
+
+  await Promise.all(items.map(async item => {
+    const cachedPage = cachedPages[item.id];
+    item.content = refreshed && !refreshed.has(item.id) && cachedPage?.content !== undefined
+      ? cachedPage.content
+      : await fetchPageContent(notion, item.id);
+
+    item.comments = [];
+    if (commentsEnabled) {
+      try {
+        item.comments = await fetchComments(notion, item.id);
+      } catch (error) {
+        if (error.status !== 403) throw error;
+        if (commentsEnabled) {
+          log('Warning: Integration lacks the "Read comments" capability; skipping comments');
+        }
+        commentsEnabled = false;
+      }
+    }
+
+    item.latestNote = latestNote(item.content, item.comments);
+  }));
+}
+
+/**
+ * Compare the property mapping with the database schema
+ * A type mismatch would produce wrong values, so it fails the run. A missing
+ * property fails the run when the field is marked required (e.g. after a
+ * column rename); otherwise it falls back to the field's default.
+ *
+ * @param {object} mapping - Property mapping
+ * @param {object} dbProperties - `properties` from the database metadata
+ * @param {string} label - Database label (for messages)
+ */
+function checkMappingAgainstSchema(mapping, dbProperties, label) {
+  Object.entries(mapping.fields).forEach(([field, spec]) => {
+    const dbProp = dbProperties[spec.property];
+    if (!dbProp && spec.required) {
+      throw new Error(`[${label}] Required property "${spec.property}" (field "${field}") not found in database; was it renamed?`);
+    } else if (!dbProp) {
+      console.warn(`[${label}] Warning: Property "${spec.property}" (field "${field}") not found in database; using default`);
+    } else if (dbProp.type !== spec.type) {
+      throw new Error(`[${label}] Property "${spec.property}" (field "${field}") is of type "${dbProp.type}", but the mapping expects "${spec.type}"`);
+    }
+  });
+}
+
+/**
+ * Query every page of the database
+ * Notion returns at most 100 results per request, so follow next_cursor
+ * until has_more is false. A failure on any page aborts the run so a
+ * partial board is never written to disk.
+ *
+ * @param {object} notion - Notion client
+ * @param {string} databaseId - Database to query
+ * @param {object} query - Query body fragment with optional filter and sorts
+ * @param {function(string): void} log - Logger prefixed with the database label
+ * @param {Array<string>} [filterProperties] - Only return these property ids
+ * @returns {Promise<{results: Array<object>, pageCount: number}>}
+ */
+async function queryAllPages(notion, databaseId, query, log, filterProperties) {
+  const results = [];
+  let cursor;
+  let pageCount = 0;
+
+  do {
+    const body = { ...query, page_size: 100 };
+    if (cursor) {
+      body.start_cursor = cursor;
+    }
+
+    let page;
+    try {
+      page = await notion.queryDatabase(databaseId, body, filterProperties);
+    } catch (error) {
+      throw new Error(`Database query failed on page ${pageCount + 1}: ${error.message}`);
+    }
+
+    pageCount++;
+    results.push(...page.results);
+    log(`  Page ${pageCount}: ${page.results.length} items`);
+
+    cursor = page.has_more ? page.next_cursor : null;
+  } while (cursor);
+
+  return { results, pageCount };
+}
+
 // Run the fetcher
 fetchNotionData();
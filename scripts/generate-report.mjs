@@ -3,27 +3,97 @@
 /**
  * Notion Status Report Generator
  *
- * Reads raw Notion data and generates an HTML status report.
- * Filters out internal projects, categorizes by priority and client,
- * and updates the report HTML file.
+ * Reads raw Notion data and generates HTML status reports.
+ * Keeps the clients and statuses listed in config/report.json (see
+ * utils/report-config.mjs), categorizes by priority and client,
+ * and renders the report template (templates/status-report/report.html)
+ * into fresh output files. The template has named slots for the date,
+ * summary, changes, sections and footer (see utils/template.mjs).
+ *
+ * One report is generated per audience:
+ * - internal: every target client (NOTION_PROJECT_STATUS.html)
+ * - one per client, with only that client's items (reports/<client>.html)
+ * reports/manifest.json lists every variant with its item count, output
+ * files, the environment variable holding its recipients and the files
+ * attached to its email (pdf, csv, json), for export-pdf.mjs and send-email.mjs.
+ *
+ * Output formats are chosen with --format (comma-separated, default html):
+ * - html: the email/web report
+ * - markdown: GitHub-flavored Markdown (PR body; the internal report is also
+ *   archived to .github/status-reports/)
+ * - text: plain text (the email's text/alternative part)
+ * - json: structured summary with counts by priority, client and status
+ * - csv: one row per item (name, client, priority, status, owner, dates, link),
+ *   for spreadsheets and email attachments
+ * All formats render the same grouped data (see utils/report-model.mjs).
+ *
+ * Items that cannot be categorized (unknown priority, or a status outside
+ * every bucket) are listed in a "Needs triage" section instead of being
+ * dropped. With --strict, the run fails when more items need triage than
+ * REPORT_TRIAGE_THRESHOLD allows.
+ *
+ * When earlier snapshots exist in data/snapshots/, a "What changed since
+ * last report" section is added (see utils/snapshots.mjs).
+ *
+ * The HTML report opens with an overview: a donut chart of items per
+ * priority, bars per client (or per status for client reports), and trend
+ * sparklines over recent snapshots, all as inline SVG (see
+ * utils/report-charts.mjs).
+ *
+ * Optional environment variables:
+ * - REPORT_CONFIG_PATH: Clients, statuses, priorities and wording (default: config/report.json)
+ * - REPORT_STALE_RUNS: Unchanged runs before an item is flagged stale (default: 3)
+ * - REPORT_TREND_RUNS: Runs shown in the trend sparklines, including this one (default: 8)
+ * - REPORT_TEMPLATE_PATH: Report template (default: templates/status-report/report.html)
+ * - REPORT_OUTPUT_PATH: Internal report (default: NOTION_PROJECT_STATUS.html)
+ * - REPORT_OUTPUT_DIR: Per-client reports and manifest (default: reports)
+ * - REPORT_FORMATS: Same as --format
+ * - REPORT_LOCALE: Locale for dates (default: "locale" in the report config, then en-US)
+ * - REPORT_TIMEZONE: IANA time zone for dates (default: "timeZone" in the report config, then UTC)
+ * - REPORT_STRICT: Set to 'true' for strict mode (same as passing --strict)
+ * - REPORT_TRIAGE_THRESHOLD: Items allowed in "Needs triage" in strict mode (default: 0)
+ *
+ * Usage: node scripts/generate-report.mjs [--format html,markdown,text,json,csv] [--strict]
  *
  * Input: data/notion-raw.json (from fetch-notion-data.mjs)
- * Output: NOTION_PROJECT_STATUS.html
+ * Output: NOTION_PROJECT_STATUS.html, reports/<variant>.<ext>, reports/manifest.json
  */
 
 import fs from 'fs';
 import path from 'path';
+import { loadSnapshotsBefore, diffSnapshots } from './utils/snapshots.mjs';
+import { assertValidNotionRaw } from './utils/notion-raw-schema.mjs';
+import { loadTemplate, renderTemplate } from './utils/template.mjs';
+import { loadReportConfig, matchClient, matchStatusBucket, countWord } from './utils/report-config.mjs';
+import { buildReportModel, changeGroups, triageItems } from './utils/report-model.mjs';
+import { barChart, donutChart, sparkline } from './utils/report-charts.mjs';
+import { escapeHtml, safeUrl } from './utils/html.mjs';
+import { createDateFormatter } from './utils/dates.mjs';
+import { renderMarkdown, renderText, renderJson, renderCsv, renderSummary, detailParts, noteLabel } from './utils/report-formats.mjs';
+
+const CONFIG_PATH = process.env.REPORT_CONFIG_PATH || path.join(process.cwd(), 'config', 'report.json');
+const STALE_RUNS = Number(process.env.REPORT_STALE_RUNS) || 3;
+const TREND_RUNS = Number(process.env.REPORT_TREND_RUNS) || 8;
+const TEMPLATE_PATH = process.env.REPORT_TEMPLATE_PATH || path.join(process.cwd(), 'templates', 'status-report', 'report.html');
+const OUTPUT_PATH = process.env.REPORT_OUTPUT_PATH || path.join(process.cwd(), 'NOTION_PROJECT_STATUS.html');
+const OUTPUT_DIR = process.env.REPORT_OUTPUT_DIR || path.join(process.cwd(), 'reports');
+const ARCHIVE_DIR = path.join(process.cwd(), '.github', 'status-reports');
+const STRICT = process.argv.includes('--strict') || process.env.REPORT_STRICT === 'true';
+const TRIAGE_THRESHOLD = Number(process.env.REPORT_TRIAGE_THRESHOLD) || 0;
 
-// Priority levels and colors
-const PRIORITY_LEVELS = {
-  'URGENT': { value: 1, color: '#e74c3c' },
-  'HIGH': { value: 2, color: '#f39c12' },
-  'MEDIUM': { value: 3, color: '#3498db' },
-  'LOW': { value: 4, color: '#27ae60' }
-};
+// Output formats and their file extensions
+const FORMAT_EXTENSIONS = { html: 'html', markdown: 'md', text: 'txt', json: 'json', csv: 'csv' };
 
-// Target clients (exclude internal projects like 'RV 2.0')
-const TARGET_CLIENTS = ['CBB', 'DLC', 'Wise Loan'];
+let formats;
+try {
+  formats = parseFormats();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Recipients of the internal all-clients report
+const INTERNAL_RECIPIENTS_ENV = 'EMAIL_RECIPIENTS';
 
 async function generateReport() {
   try {
@@ -34,165 +104,524 @@ async function generateReport() {
     }
 
     const rawData = JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
+    assertValidNotionRaw(rawData, dataPath);
     console.log(`Processing ${rawData.itemCount} items from Notion...`);
 
-    // Filter for target clients and exclude done/icebox statuses
-    const EXCLUDED_STATUSES = ['Done', 'Icebox'];
-    const items = rawData.items.filter(item => {
-      // Check if client matches
-      const isTargetClient = TARGET_CLIENTS.some(client => item.client?.includes(client));
-      // Check if status is not excluded
-      const isNotExcluded = !EXCLUDED_STATUSES.includes(item.status);
-      return isTargetClient && isNotExcluded;
-    });
-    console.log(`Filtered to ${items.length} items for target clients (excluding Done/Icebox)`);
+    const config = loadReportConfig(CONFIG_PATH);
+    console.log(`Using report config: ${CONFIG_PATH}`);
+    const clientNames = config.clients.map(client => client.displayName);
+    const excludedBuckets = config.statusBuckets.filter(bucket => bucket.excludeFromReport).map(bucket => bucket.name);
 
-    // Group items by priority
-    const byPriority = {};
-    Object.keys(PRIORITY_LEVELS).forEach(level => {
-      byPriority[level] = [];
-    });
+    // Filter for target clients and drop excluded status buckets
+    const items = rawData.items.filter(item => isReportItem(item, config));
+    console.log(`Filtered to ${items.length} items for ${clientNames.join(', ')}${excludedBuckets.length > 0 ? ` (excluding ${excludedBuckets.join(', ')})` : ''}`);
 
-    items.forEach(item => {
-      const priority = item.priority || 'LOW';
-      // Handle priority like "1 - URGENT", "2 - HIGH", etc.
-      const priorityName = priority.split('-').pop().trim().toUpperCase();
-      if (byPriority[priorityName]) {
-        byPriority[priorityName].push(item);
-      } else {
-        console.warn(`Unknown priority: "${priority}" -> "${priorityName}"`);
-      }
+    // Items that could not be categorized are reported, not dropped
+    const triage = triageItems(items, config);
+    if (triage.length > 0) {
+      console.warn(`${triage.length} item(s) need triage:`);
+      triage.forEach(({ item, reasons }) => console.warn(`  - ${item.name}: ${reasons.join('; ')}`));
+    }
+    if (STRICT && triage.length > TRIAGE_THRESHOLD) {
+      throw new Error(`${triage.length} item(s) need triage, more than the ${TRIAGE_THRESHOLD} allowed in strict mode (REPORT_TRIAGE_THRESHOLD)`);
+    }
+
+    const template = loadTemplate(TEMPLATE_PATH);
+    const history = loadSnapshotsBefore(rawData.fetchedAt, { limit: Math.max(STALE_RUNS, TREND_RUNS - 1) });
+
+    // Report date, in the configured locale and time zone
+    const dates = createDateFormatter({
+      locale: process.env.REPORT_LOCALE || config.locale,
+      timeZone: process.env.REPORT_TIMEZONE || config.timeZone
     });
+    const today = new Date();
+    const dateStr = dates.long(today);
 
-    // Group by client within each priority
-    const groupedByPriorityAndClient = {};
-    Object.entries(byPriority).forEach(([priority, priorityItems]) => {
-      groupedByPriorityAndClient[priority] = {};
-      priorityItems.forEach(item => {
-        const client = item.client || 'Unknown';
-        if (!groupedByPriorityAndClient[priority][client]) {
-          groupedByPriorityAndClient[priority][client] = [];
-        }
-        groupedByPriorityAndClient[priority][client].push(item);
+    // One variant for the internal team, then one per client
+    const variants = [
+      {
+        id: 'internal',
+        audience: 'internal',
+        title: 'All clients',
+        client: null,
+        basePath: path.join(OUTPUT_DIR, 'internal'),
+        htmlPath: OUTPUT_PATH,
+        recipientsEnv: INTERNAL_RECIPIENTS_ENV,
+        attachments: config.internalAttachments,
+        includes: item => isReportItem(item, config)
+      },
+      ...config.clients.map(client => ({
+        id: client.slug,
+        audience: 'client',
+        title: client.displayName,
+        client,
+        basePath: path.join(OUTPUT_DIR, client.slug),
+        recipientsEnv: client.recipientsEnv,
+        attachments: client.attachments,
+        includes: item => isReportItem(item, config) && matchClient(config, item.client) === client
+      }))
+    ];
+
+    if (!fs.existsSync(OUTPUT_DIR)) {
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+
+    const manifestVariants = variants.map(variant => {
+      console.log(`\n== ${variant.audience === 'internal' ? 'Internal report' : `Client report: ${variant.title}`} ==`);
+      const variantItems = items.filter(variant.includes);
+      const model = buildVariantModel(variant, variantItems, { rawData, config, history, dates, now: today });
+
+      // Render every requested format from the same model; the template itself is never modified
+      const outputs = {};
+      formats.forEach(format => {
+        const outputPath = format === 'html' && variant.htmlPath
+          ? variant.htmlPath
+          : `${variant.basePath}.${FORMAT_EXTENSIONS[format]}`;
+        fs.writeFileSync(outputPath, renderFormat(format, model, template));
+        outputs[format] = path.relative(process.cwd(), outputPath);
+        console.log(`Wrote ${format} (${variantItems.length} items) to ${outputPath}`);
       });
+
+      // Archive the internal Markdown report alongside the other status reports
+      if (variant.audience === 'internal' && outputs.markdown) {
+        if (!fs.existsSync(ARCHIVE_DIR)) {
+          fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+        }
+        const archivePath = path.join(ARCHIVE_DIR, `${dates.isoDay(today)}-notion-status.md`);
+        fs.copyFileSync(outputs.markdown, archivePath);
+        console.log(`Archived markdown to ${archivePath}`);
+      }
+
+      return {
+        id: variant.id,
+        audience: variant.audience,
+        title: variant.title,
+        client: variant.client?.name ?? null,
+        path: outputs.html ?? null,
+        outputs,
+        itemCount: variantItems.length,
+        recipientsEnv: variant.recipientsEnv,
+        attachments: variant.attachments,
+        attachPdf: variant.attachments.includes('pdf')
+      };
     });
 
-    // Generate HTML sections for each priority
-    let sectionsHtml = '';
+    // csv/json attachments are sent from this run's outputs
+    const missingFormats = [...new Set(variants.flatMap(variant => variant.attachments))]
+      .filter(type => type !== 'pdf' && !formats.includes(type));
+    if (missingFormats.length > 0) {
+      console.warn(`Email attachments need format(s) not generated this run: ${missingFormats.join(', ')} (add them to --format)`);
+    }
 
-    const priorityOrder = ['URGENT', 'HIGH', 'MEDIUM', 'LOW'];
+    const manifestPath = path.join(OUTPUT_DIR, 'manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify({
+      generatedAt: today.toISOString(),
+      reportDate: dateStr,
+      locale: dates.locale,
+      timeZone: dates.timeZone,
+      dataFetchedAt: rawData.fetchedAt,
+      formats,
+      variants: manifestVariants
+    }, null, 2));
 
-    priorityOrder.forEach(priority => {
-      const color = PRIORITY_LEVELS[priority].color;
-      const itemsByClient = groupedByPriorityAndClient[priority];
+    console.log(`\nSuccessfully generated ${variants.length} reports with ${items.length} items`);
+    console.log(`Report date: ${dateStr} (${dates.locale}, ${dates.timeZone})`);
+    console.log(`Formats: ${formats.join(', ')}`);
+    console.log(`Template: ${TEMPLATE_PATH}`);
+    console.log(`Output: ${formats.includes('html') ? OUTPUT_PATH : OUTPUT_DIR}`);
+    console.log(`Manifest: ${manifestPath}`);
 
-      if (Object.keys(itemsByClient).length === 0) {
-        console.log(`Skipping ${priority}: no items`);
-        return;
-      }
-      console.log(`Adding ${priority} section with ${Object.keys(itemsByClient).length} clients`);
+  } catch (error) {
+    console.error('Error generating report:', error.message);
+    process.exit(1);
+  }
+}
 
-      const priorityLabel = priority === 'URGENT' ? '1 - URGENT Priority' :
-                          priority === 'HIGH' ? '2 - HIGH' :
-                          priority === 'MEDIUM' ? '3 - MEDIUM' : '4 - LOW';
+/**
+ * Read the requested output formats from --format or REPORT_FORMATS
+ *
+ * @returns {Array<string>} - Format names, html first when present
+ */
+function parseFormats() {
+  const args = process.argv.slice(2);
+  const values = [];
+  args.forEach((arg, i) => {
+    if (arg === '--format') {
+      values.push(args[i + 1] || '');
+    } else if (arg.startsWith('--format=')) {
+      values.push(arg.substring('--format='.length));
+    }
+  });
+  if (values.length === 0) {
+    values.push(process.env.REPORT_FORMATS || 'html');
+  }
 
-      sectionsHtml += `
-            <section>
-                <h2 style="border-bottom-color: ${color}; color: ${color};">${priorityLabel} Issues</h2>
-`;
+  const requested = values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+  const unknown = requested.filter(format => !(format in FORMAT_EXTENSIONS));
+  if (unknown.length > 0 || requested.length === 0) {
+    throw new Error(`Unknown report format(s): ${unknown.join(', ') || '(none)'} (expected ${Object.keys(FORMAT_EXTENSIONS).join(', ')})`);
+  }
+  return Object.keys(FORMAT_EXTENSIONS).filter(format => requested.includes(format));
+}
 
-      Object.entries(itemsByClient).forEach(([client, clientItems]) => {
-        sectionsHtml += `
-                <h3>${client}</h3>
+/**
+ * Render a report model in one format
+ *
+ * @param {string} format - html, markdown, text, json or csv
+ * @param {object} model - Result of buildReportModel()
+ * @param {string} template - HTML template source
+ * @returns {string}
+ */
+function renderFormat(format, model, template) {
+  switch (format) {
+    case 'html': return renderHtml(model, template);
+    case 'markdown': return renderMarkdown(model);
+    case 'text': return renderText(model);
+    case 'json': return renderJson(model);
+    case 'csv': return renderCsv(model);
+    default: throw new Error(`Unknown report format: ${format}`);
+  }
+}
+
+/**
+ * Build the report model for one variant
+ * Compares the variant's items with the same variant in earlier snapshots
+ * and fills in the summary sentence from the report config.
+ *
+ * @param {object} variant - Variant (audience, client and item filter)
+ * @param {Array<object>} items - Items in this variant
+ * @param {object} context
+ * @param {object} context.rawData - notion-raw.json contents
+ * @param {object} context.config - Report config
+ * @param {Array<object>} context.history - Earlier snapshots, oldest first
+ * @param {object} context.dates - Date formatter from createDateFormatter()
+ * @param {Date} context.now - Report time
+ * @returns {object} - Report model (see utils/report-model.mjs)
+ */
+function buildVariantModel(variant, items, { rawData, config, history, dates, now }) {
+  // Compare with earlier snapshots, applying the same filter to each
+  const variantHistory = history.map(snapshot => ({ ...snapshot, items: snapshot.items.filter(variant.includes) }));
+  const diff = diffSnapshots(variantHistory, { ...rawData, items }, { staleRuns: STALE_RUNS });
+  if (diff) {
+    console.log(`Changes since ${diff.previousFetchedAt}: ${diff.added.length} new, ${diff.closed.length} closed, ${diff.statusChanged.length} status, ${diff.priorityChanged.length} priority, ${diff.stale.length} stale`);
+  } else {
+    console.log('No earlier snapshot found; skipping changes section');
+  }
+
+  // Summary wording comes from the report config; its slots are plain text
+  const sources = (rawData.databases || []).map(db => db.label);
+  const clientNames = config.clients.map(client => client.displayName);
+  const summary = renderSummary(variant.client ? config.clientSummary : config.summary, {
+    itemCount: items.length,
+    boards: sources.length > 1 ? ` from ${sources.length} boards (${sources.join(', ')})` : '',
+    clientCount: clientNames.length,
+    clientCountWord: countWord(clientNames.length),
+    clientNames: clientNames.join(', '),
+    clientName: variant.client?.displayName ?? '',
+    statusBreakdown: statusBreakdown(items, config),
+    dataAsOf: dates.dateTime(rawData.fetchedAt)
+  }, `${CONFIG_PATH} ${variant.client ? 'clientSummary' : 'summary'}`);
+
+  return buildReportModel(variant, items, {
+    rawData,
+    config,
+    diff,
+    history: variantHistory.slice(-(TREND_RUNS - 1)),
+    summary,
+    dates,
+    now
+  });
+}
+
+/**
+ * Render a report model as HTML using the report template
+ *
+ * @param {object} model - Result of buildReportModel()
+ * @param {string} template - HTML template source
+ * @returns {string} - Report HTML
+ */
+function renderHtml(model, template) {
+  // Priority sections, split by source database when items come from more than one board
+  let sectionsHtml = '';
+  model.sources.forEach(source => {
+    if (source.label === null) {
+      sectionsHtml += renderPrioritySections(source.priorities, model.dates);
+      return;
+    }
+    console.log(`Adding source ${source.label} with ${source.itemCount} items`);
+    sectionsHtml += `
+            <div class="source-group">
+                <h2 style="font-size: 22px; font-weight: 700; color: #393939; margin: 10px 0 20px;">${escapeHtml(source.label)} <span style="font-size: 14px; color: #999; font-weight: 400;">(${source.itemCount} items)</span></h2>
+${renderPrioritySections(source.priorities, model.dates)}
+            </div>
 `;
-        clientItems.forEach((item, index) => {
-          const status = item.status || 'Unknown';
-          sectionsHtml += `
-                <div class="issue" style="border-left-color: ${color};">
-                    <strong>${index + 1}. ${item.name}</strong>
-                    <div style="color: #666; font-size: 14px; margin: 8px 0;">
-                        Status: <span style="color: ${color}; font-weight: bold;">${status}</span> | Priority: ${priority}
-                    </div>
+  });
+
+  if (!sectionsHtml && model.triage.length === 0) {
+    sectionsHtml = `
+            <section>
+                <p style="color: #666;">No open items.</p>
+            </section>
 `;
-          if (item.updates) {
-            // Escape HTML and limit to 500 chars
-            const safeUpdates = item.updates
-              .substring(0, 500)
-              .replace(/&/g, '&amp;')
-              .replace(/</g, '&lt;')
-              .replace(/>/g, '&gt;');
-            sectionsHtml += `
-                    <div style="color: #444; margin: 8px 0;">${safeUpdates}${item.updates.length > 500 ? '...' : ''}</div>
-`;
-          }
-          sectionsHtml += `
-                </div>
+  }
+
+  return renderTemplate(template, {
+    date: model.reportDate,
+    summary: `<p>${model.summary.html}</p>`,
+    overview: renderOverview(model),
+    changes: model.diff ? renderChangesSection(model.diff, model.dates) : '',
+    sections: sectionsHtml + renderTriageSection(model.triage),
+    footer: `<p style="margin-bottom: 5px;"><strong>Report Date:</strong> ${escapeHtml(model.reportDate)}${model.dataAsOf ? ` | <strong>Data as of:</strong> ${escapeHtml(model.dataAsOf)}` : ''} | <strong>Data Source:</strong> ${escapeHtml(model.dataSource)}</p>`
+  }, TEMPLATE_PATH);
+}
+
+/**
+ * Check whether an item belongs in the report
+ * Keeps configured clients and drops statuses in excluded buckets.
+ *
+ * @param {object} item - Notion item
+ * @param {object} config - Report config
+ * @returns {boolean}
+ */
+function isReportItem(item, config) {
+  const isTargetClient = matchClient(config, item.client) !== null;
+  const isNotExcluded = !matchStatusBucket(config, item.status)?.excludeFromReport;
+  return isTargetClient && isNotExcluded;
+}
+
+/**
+ * Count items per status bucket, e.g. "12 in progress, 30 not started"
+ *
+ * @param {Array<object>} items - Report items
+ * @param {object} config - Report config
+ * @returns {string}
+ */
+function statusBreakdown(items, config) {
+  const counts = new Map();
+  items.forEach(item => {
+    const bucket = matchStatusBucket(config, item.status)?.name || 'Other';
+    counts.set(bucket, (counts.get(bucket) || 0) + 1);
+  });
+  return [...counts].map(([bucket, count]) => `${count} ${bucket.toLowerCase()}`).join(', ');
+}
+
+/**
+ * Render the overview: counts and charts by priority and by client (or by
+ * status bucket for a single-client report), with trend sparklines when
+ * earlier snapshots are available
+ *
+ * @param {object} model - Result of buildReportModel()
+ * @returns {string} - HTML section
+ */
+function renderOverview(model) {
+  const { byPriority, byClient, byStatusBucket } = model.overview;
+  const trend = model.trend.length > 1 ? model.trend : null;
+  const trendCell = (values, color, label) => (trend
+    ? `<td style="padding: 4px 0 4px 10px; text-align: right;">${sparkline(values, { color, title: `${label}: ${values.join(' → ')}` })}</td>`
+    : '');
+
+  const legendRows = byPriority.map(level => `
+                            <tr>
+                                <td style="padding: 4px 8px 4px 0;"><span style="display: inline-block; width: 10px; height: 10px; border-radius: 2px; background: ${level.color};"></span></td>
+                                <td style="padding: 4px 0; font-size: 14px;">${escapeHtml(level.label)}</td>
+                                <td style="padding: 4px 0 4px 10px; font-size: 14px; font-weight: bold; text-align: right;">${level.count}</td>${trendCell(trend ? trend.map(point => point.byPriority[level.key] || 0) : [], level.color, `${level.key} items`)}
+                            </tr>`).join('');
+
+  const totalRow = `
+                            <tr>
+                                <td></td>
+                                <td style="padding: 6px 0 4px; font-size: 14px; border-top: 1px solid #ecf0f1;">Total</td>
+                                <td style="padding: 6px 0 4px 10px; font-size: 14px; font-weight: bold; text-align: right; border-top: 1px solid #ecf0f1;">${model.itemCount}</td>${trendCell(trend ? trend.map(point => point.itemCount) : [], '#393939', 'Open items')}
+                            </tr>`;
+
+  // A single-client report has nothing to compare per client, so show statuses instead
+  const byGroup = model.variant.client
+    ? { title: 'By status', rows: byStatusBucket.map(bucket => ({ label: bucket.name, value: bucket.count, color: '#43B6E7' })) }
+    : { title: 'By client', rows: byClient.map(client => ({ label: client.name, value: client.count, color: '#43B6E7' })) };
+
+  const trendNote = trend
+    ? `<p style="color: #7f8c8d; font-size: 12px; margin-top: 10px;">Trends cover the last ${trend.length} reports, since ${model.dates.long(trend[0].fetchedAt)}.</p>`
+    : '';
+
+  return `
+            <section class="overview">
+                <h2>Overview</h2>
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse: collapse;">
+                    <tr>
+                        <td valign="top" style="padding: 0 20px 20px 0; width: 160px;">${donutChart(byPriority.map(level => ({ label: level.label, value: level.count, color: level.color })), { title: 'Items by priority' })}</td>
+                        <td valign="top" style="padding: 0 20px 20px 0;">
+                            <h3 style="margin-top: 0;">By priority</h3>
+                            <table role="presentation" cellpadding="0" cellspacing="0" style="border-collapse: collapse;">${legendRows}${totalRow}
+                            </table>
+                        </td>
+                        <td valign="top" style="padding: 0 0 20px 0;">
+                            <h3 style="margin-top: 0;">${escapeHtml(byGroup.title)}</h3>
+                            ${barChart(byGroup.rows, { title: `Items ${byGroup.title.toLowerCase()}`, width: 260 })}
+                        </td>
+                    </tr>
+                </table>${trendNote}
+            </section>
 `;
-        });
-      });
+}
 
-      sectionsHtml += `
+/**
+ * Render the "Needs triage" section for items that could not be categorized
+ *
+ * @param {Array<{item: object, reasons: Array<string>}>} triage - Result of triageItems()
+ * @returns {string} - HTML section, or '' when nothing needs triage
+ */
+function renderTriageSection(triage) {
+  if (triage.length === 0) {
+    return '';
+  }
+
+  const entries = triage.map(({ item, reasons }) => {
+    const url = safeUrl(item.url);
+    const name = url
+      ? `<a href="${url}" style="color: inherit;">${escapeHtml(item.name)}</a>`
+      : escapeHtml(item.name);
+    return `                    <li><strong>${name}</strong> <span style="color: #999;">(${escapeHtml(item.client)})</span> - ${escapeHtml(reasons.join('; '))}</li>`;
+  });
+
+  return `
+            <section>
+                <h2 style="border-bottom-color: #95a5a6; color: #7f8c8d;">Needs triage (${triage.length})</h2>
+                <p style="color: #666; font-size: 14px; margin-bottom: 15px;">These items could not be categorized. Set a priority and status in Notion, or add the value to the report config.</p>
+                <ul class="issue-details">
+${entries.join('\n')}
+                </ul>
             </section>
 `;
-    });
+}
 
-    // Read existing HTML template
-    const templatePath = path.join(process.cwd(), 'NOTION_PROJECT_STATUS.html');
-    if (!fs.existsSync(templatePath)) {
-      throw new Error(`Template file not found: ${templatePath}`);
-    }
+/**
+ * Render the "What changed since last report" section
+ *
+ * @param {object} diff - Result of diffSnapshots()
+ * @param {object} dates - Date formatter from createDateFormatter()
+ * @returns {string} - HTML section
+ */
+function renderChangesSection(diff, dates) {
+  const since = dates.long(diff.previousFetchedAt);
 
-    let html = fs.readFileSync(templatePath, 'utf-8');
+  const groups = changeGroups(diff).map(group => ({
+    title: group.title,
+    entries: group.entries.map(({ item, from, to }) => (from !== undefined
+      ? `${escapeHtml(item.name)}: ${escapeHtml(from)} &rarr; <strong>${escapeHtml(to)}</strong>`
+      : `${escapeHtml(item.name)} <span style="color: #999;">(${escapeHtml(item.client)})</span>`))
+  }));
 
-    // Update report date
-    const today = new Date();
-    const dateStr = today.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+  let html = `
+            <section>
+                <h2>What changed since last report</h2>
+                <p style="color: #666; font-size: 14px; margin-bottom: 15px;">Compared with the report data from ${since}.</p>
+`;
 
-    // Replace date in header
-    html = html.replace(
-      /<p>December \d+, \d+<\/p>/,
-      `<p>${dateStr}</p>`
-    );
-
-    // Replace date in footer
-    html = html.replace(
-      /Report Date:<\/strong> December \d+, \d+/,
-      `Report Date:</strong> ${dateStr}`
-    );
-
-    // Replace content section
-    // Find the content div and replace its inner HTML
-    const contentMatch = html.match(/<div class="content">([\s\S]*?)<\/div>\s*<footer>/);
-    if (!contentMatch) {
-      throw new Error('Could not find content section in template HTML');
-    }
+  groups.forEach(group => {
+    if (group.entries.length === 0) return;
+    html += `
+                <h3>${escapeHtml(group.title)} (${group.entries.length})</h3>
+                <ul class="issue-details">
+${group.entries.map(entry => `                    <li>${entry}</li>`).join('\n')}
+                </ul>
+`;
+  });
 
-    const newContent = `<div class="content">
-            <div class="summary">
-                <p>The product roadmap contains <strong>${items.length} active items</strong> across three primary clients (CBB, DLC, Wise Loan). Below is a breakdown of issues by priority and status.</p>
-            </div>
+  if (groups.every(group => group.entries.length === 0)) {
+    html += `
+                <p style="color: #666;">No changes since the last report.</p>
+`;
+  }
 
-${sectionsHtml}
-        </div>
+  html += `
+            </section>
+`;
+  return html;
+}
 
-        <footer>`;
+/**
+ * Render the priority sections for a set of items
+ * Items are grouped by priority, then by client within each priority.
+ *
+ * @param {Array<object>} priorities - Grouped items from groupByPriority()
+ * @param {object} dates - Date formatter from createDateFormatter()
+ * @returns {string} - HTML for the priority sections
+ */
+function renderPrioritySections(priorities, dates) {
+  // Generate HTML sections for each priority
+  let sectionsHtml = '';
 
-    html = html.replace(contentMatch[0], newContent);
+  priorities.forEach(({ level: { key: priority, label: priorityLabel, color }, clients }) => {
+    if (clients.length === 0) {
+      console.log(`Skipping ${priority}: no items`);
+      return;
+    }
+    console.log(`Adding ${priority} section with ${clients.length} clients`);
 
-    // Write updated HTML
-    fs.writeFileSync(templatePath, html);
-    console.log(`\nSuccessfully generated report with ${items.length} items`);
-    console.log(`Report date: ${dateStr}`);
-    console.log(`Output: ${templatePath}`);
+    sectionsHtml += `
+            <section>
+                <h2 style="border-bottom-color: ${color}; color: ${color};">${escapeHtml(priorityLabel)} Issues</h2>
+`;
 
-  } catch (error) {
-    console.error('Error generating report:', error.message);
-    process.exit(1);
-  }
+    clients.forEach(({ name: client, items: clientItems }) => {
+      sectionsHtml += `
+                <h3>${escapeHtml(client)}</h3>
+`;
+      clientItems.forEach((item, index) => {
+        const status = item.status || 'Unknown';
+        // Link the title to the Notion page when the URL is a safe http(s) link
+        const url = safeUrl(item.url);
+        const title = url
+          ? `<a href="${url}" style="color: inherit; text-decoration: none;">${escapeHtml(item.name)}</a>`
+          : escapeHtml(item.name);
+        const overdueBadge = item.details.overdue
+          ? ' <span style="display: inline-block; background: #e74c3c; color: white; font-size: 11px; font-weight: bold; padding: 1px 6px; border-radius: 3px; vertical-align: middle;">OVERDUE</span>'
+          : '';
+        sectionsHtml += `
+                <div class="issue" style="border-left-color: ${color};">
+                    <strong>${index + 1}. ${title}</strong>${overdueBadge}
+                    <div style="color: #666; font-size: 14px; margin: 8px 0;">
+                        Status: <span style="color: ${color}; font-weight: bold;">${escapeHtml(status)}</span> | Priority: ${escapeHtml(priority)}
+                    </div>
+`;
+        const details = detailParts(item.details, dates).map(part => {
+          const text = escapeHtml(part.label ? `${part.label}: ${part.value}` : part.value);
+          return part.overdue ? `<span style="color: #e74c3c; font-weight: bold;">${text}</span>` : text;
+        });
+        if (details.length > 0) {
+          sectionsHtml += `
+                    <div style="color: #7f8c8d; font-size: 13px; margin: 8px 0;">${details.join(' | ')}</div>
+`;
+        }
+        // Update text and notes are marked "issue-note": the email leaves them
+        // out when the message would otherwise be clipped (utils/email-html.mjs)
+        if (item.updates) {
+          // Escape HTML and limit to 500 chars
+          const safeUpdates = escapeHtml(item.updates.substring(0, 500));
+          sectionsHtml += `
+                    <div class="issue-note" style="color: #444; margin: 8px 0;">${safeUpdates}${item.updates.length > 500 ? '...' : ''}</div>
+`;
+        }
+        if (item.latestNote) {
+          // Latest page comment or body note (only present when fetched --with-content)
+          const note = item.latestNote;
+          const safeNote = escapeHtml(note.text.substring(0, 500));
+          sectionsHtml += `
+                    <div class="issue-note" style="color: #444; margin: 8px 0; padding: 8px 12px; background: white; border-radius: 4px; white-space: pre-line;"><strong style="font-size: 13px; color: #7f8c8d;">${escapeHtml(noteLabel(note, dates))}:</strong> ${safeNote}${note.text.length > 500 ? '...' : ''}</div>
+`;
+        }
+        sectionsHtml += `
+                </div>
+`;
+      });
+    });
+
+    sectionsHtml += `
+            </section>
+`;
+  });
+
+  return sectionsHtml;
 }
 
 // Run the generator
@@ -3,13 +3,82 @@
 /**
  * Notion Status Report Email Sender
  *
- * Sends the generated HTML status report via Gmail SMTP.
- * Uses Gmail App Passwords for authentication (simpler than OAuth).
+ * Sends the generated HTML status reports through the mail transport named
+ * by EMAIL_TRANSPORT (utils/mail-transport.mjs). The default is Gmail SMTP
+ * with an app password (simpler than OAuth).
+ *
+ * Each report variant in reports/manifest.json (written by
+ * generate-report.mjs) goes to its own recipients: the internal report to
+ * EMAIL_RECIPIENTS, each client report to the variable named by its
+ * recipientsEnv (e.g. EMAIL_RECIPIENTS_CBB). Client reports without
+ * recipients are skipped. Test emails send every variant to EMAIL_RECIPIENTS
+ * so the reviewer sees exactly what each audience will get.
+ *
+ * Each variant gets the attachments listed for it in the manifest (the
+ * "attachments" of its client in config/report.json, or
+ * "internalAttachments"): "pdf" (written by export-pdf.mjs), "csv" (every
+ * item, for spreadsheets) and "json" (the report summary), the last two
+ * written by generate-report.mjs with --format csv / json. The send fails
+ * for that variant if an attachment is missing.
+ *
+ * Every message has a plain-text part: the text report when generated with
+ * --format text, otherwise a conversion of the email HTML. Inline SVG charts
+ * and local or data: images are sent as CID inline attachments, so they
+ * show without the reader allowing remote images. Charts are converted to
+ * PNG with Playwright (Gmail and Outlook do not show SVG). If its browser
+ * cannot be launched, or with EMAIL_CHART_IMAGES=text, each chart's data is
+ * sent as a line of text instead. --dry-run previews keep the SVG charts, so
+ * they need no browser.
+ *
+ * Recipients come from config/recipients.json when it exists: named groups,
+ * each delivered by Bcc (default), one message per recipient (with an
+ * optional "Hi {{firstName}}," greeting) or a shared To line, and the report
+ * variants each group receives. Without the file, the EMAIL_RECIPIENTS
+ * variables are used, delivered per EMAIL_DELIVERY. Addresses are validated
+ * and de-duplicated, and anything on the suppression list
+ * (config/email-suppressions.txt) is never mailed, test emails included.
+ * With an unsubscribe link ("unsubscribe" in the recipients file, or
+ * EMAIL_UNSUBSCRIBE), every message gets a List-Unsubscribe header and an
+ * unsubscribe line at the end of both the HTML and the text part.
+ *
+ * Before sending, each report goes through the email build step
+ * (utils/email-html.mjs): the template's <style> rules are inlined into
+ * style attributes, since Gmail and Outlook strip <style> blocks, and the
+ * result is checked for email-unsafe constructs. A variant with unsafe
+ * markup (scripts, event handlers, forms, leftover stylesheets, missing
+ * images) is not sent; constructs that only render poorly (flex layout)
+ * are logged as warnings. Messages are kept under Gmail's 102 KB clipping
+ * size by removing indentation and, if that is not enough, leaving out the
+ * item notes.
  *
  * Required environment variables:
- * - GMAIL_FROM_EMAIL: Your Gmail address (e.g., your@gmail.com)
- * - GMAIL_APP_PASSWORD: 16-character app password from Google Account
- * - EMAIL_RECIPIENTS: Comma-separated email addresses
+ * - EMAIL_RECIPIENTS: Comma-separated email addresses (internal report; test
+ *   emails). Not needed for real sends when config/recipients.json exists.
+ * - The variables of the selected transport:
+ *   - gmail (default): GMAIL_FROM_EMAIL, GMAIL_APP_PASSWORD (16-character app password)
+ *   - gmail-oauth2: GMAIL_FROM_EMAIL, GMAIL_CLIENT_ID, GMAIL_CLIENT_SECRET,
+ *     GMAIL_REFRESH_TOKEN (from gmail-oauth-helper.mjs)
+ *   - smtp: SMTP_HOST, EMAIL_FROM; optional SMTP_PORT (587), SMTP_SECURE,
+ *     SMTP_USER, SMTP_PASSWORD
+ *   - resend: RESEND_API_KEY, EMAIL_FROM
+ *   - ses: AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, EMAIL_FROM;
+ *     optional AWS_SESSION_TOKEN
+ *   - file: none; writes .eml files to EMAIL_OUTBOX_DIR (default: outbox/)
+ *
+ * Optional:
+ * - EMAIL_TRANSPORT: gmail, gmail-oauth2, smtp, resend, ses or file (default: gmail)
+ * - EMAIL_FROM: Sender address (default: GMAIL_FROM_EMAIL)
+ * - EMAIL_PREVIEW_DIR: Where --dry-run writes messages (default: outbox/preview)
+ * - EMAIL_CHART_IMAGES: png or text, how inline charts are sent (default: png)
+ * - EMAIL_RECIPIENTS_<CLIENT>: Comma-separated recipients of a client report
+ * - EMAIL_DELIVERY: bcc, individual or to, for the EMAIL_RECIPIENTS lists (default: bcc)
+ * - EMAIL_RECIPIENTS_PATH: Recipients file (default: config/recipients.json)
+ * - EMAIL_UNSUBSCRIBE: https: or mailto: unsubscribe link, for the
+ *   EMAIL_RECIPIENTS lists (the recipients file sets its own "unsubscribe")
+ * - EMAIL_SUPPRESSIONS_PATH: Suppression list (default: config/email-suppressions.txt)
+ * - REPORT_MANIFEST_PATH: Report manifest (default: reports/manifest.json)
+ * - REPORT_LOCALE / REPORT_TIMEZONE: Date format for the subject line (default:
+ *   the locale and time zone the reports were generated with)
  *
  * Optional (for approval button in test emails):
  * - APPROVAL_TOKEN_SECRET: Secret for signing approval links
@@ -23,31 +92,95 @@
  * 3. Select Mail + Windows (or your OS)
  * 4. Copy the 16-char password
  *
- * Input: NOTION_PROJECT_STATUS.html
+ * Dry run (--dry-run): builds every message exactly as it would be sent
+ * (recipients, subject, inlined HTML with the approval button, text part,
+ * attachments) and writes it to <EMAIL_PREVIEW_DIR>/<variant>.eml, with the
+ * HTML body alongside as <variant>.html for a browser preview. Nothing
+ * connects to a mail server, so no transport credentials are needed.
+ *
+ * Usage: node scripts/send-email.mjs [--dry-run]
+ *
+ * Input: reports/manifest.json and the reports it lists
+ * (falls back to NOTION_PROJECT_STATUS.html without a manifest)
  */
 
-import nodemailer from 'nodemailer';
 import { config } from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { generateApprovalToken, buildApprovalUrl } from './utils/approval-token.mjs';
+import { escapeHtml } from './utils/html.mjs';
+import { createDateFormatter } from './utils/dates.mjs';
+import { buildEmailHtml, htmlToText, createSvgRasterizer } from './utils/email-html.mjs';
+import {
+  createMailTransport,
+  missingTransportVars,
+  senderAddress,
+  composeMessage,
+  DEFAULT_TRANSPORT,
+  LOCAL_SENDER
+} from './utils/mail-transport.mjs';
+import {
+  loadRecipientsFile,
+  loadSuppressionList,
+  parseRecipientList,
+  resolveAudience,
+  personalizeGreeting,
+  toAddress,
+  isUnsubscribeUrl,
+  DELIVERY_MODES,
+  DEFAULT_DELIVERY
+} from './utils/recipients.mjs';
 
 // Load environment variables
 config();
 
-const GMAIL_FROM_EMAIL = process.env.GMAIL_FROM_EMAIL;
-const GMAIL_APP_PASSWORD = process.env.GMAIL_APP_PASSWORD;
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || DEFAULT_TRANSPORT;
 const EMAIL_RECIPIENTS = process.env.EMAIL_RECIPIENTS;
 const IS_TEST_EMAIL = process.env.IS_TEST_EMAIL === 'true';
 const APPROVAL_TOKEN_SECRET = process.env.APPROVAL_TOKEN_SECRET;
 const VERCEL_DEPLOYMENT_URL = process.env.VERCEL_DEPLOYMENT_URL;
 const GITHUB_RUN_ID = process.env.GITHUB_RUN_ID;
+const MANIFEST_PATH = process.env.REPORT_MANIFEST_PATH || path.join(process.cwd(), 'reports', 'manifest.json');
+const PREVIEW_DIR = process.env.EMAIL_PREVIEW_DIR || path.join(process.cwd(), 'outbox', 'preview');
+const DRY_RUN = process.argv.includes('--dry-run');
+const RECIPIENTS_PATH = process.env.EMAIL_RECIPIENTS_PATH || path.join(process.cwd(), 'config', 'recipients.json');
+const SUPPRESSIONS_PATH = process.env.EMAIL_SUPPRESSIONS_PATH || path.join(process.cwd(), 'config', 'email-suppressions.txt');
+const EMAIL_UNSUBSCRIBE = process.env.EMAIL_UNSUBSCRIBE;
+const EMAIL_DELIVERY = process.env.EMAIL_DELIVERY || DEFAULT_DELIVERY;
+const GREETING_MARKER = '<!--email-greeting-->';
+const CHART_IMAGES = process.env.EMAIL_CHART_IMAGES || 'png';
+
+// Manifest attachment types: where each file comes from and its MIME type
+const ATTACHMENTS = {
+  pdf: { contentType: 'application/pdf', hint: 'run export-pdf.mjs first' },
+  csv: { contentType: 'text/csv', hint: 'run generate-report.mjs with --format csv' },
+  json: { contentType: 'application/json', hint: 'run generate-report.mjs with --format json' }
+};
 
 // Validate required environment variables
 const missingVars = [];
-if (!GMAIL_FROM_EMAIL) missingVars.push('GMAIL_FROM_EMAIL');
-if (!GMAIL_APP_PASSWORD) missingVars.push('GMAIL_APP_PASSWORD');
-if (!EMAIL_RECIPIENTS) missingVars.push('EMAIL_RECIPIENTS');
+try {
+  // A dry run never connects, so it needs no transport credentials
+  const missingTransport = DRY_RUN ? [] : missingTransportVars(EMAIL_TRANSPORT);
+  missingVars.push(...missingTransport.map(variable => `${variable} (required for EMAIL_TRANSPORT=${EMAIL_TRANSPORT})`));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+// The recipients file replaces the EMAIL_RECIPIENTS variables, except for test emails
+if (!EMAIL_RECIPIENTS && (IS_TEST_EMAIL || !fs.existsSync(RECIPIENTS_PATH))) missingVars.push('EMAIL_RECIPIENTS');
+if (!DELIVERY_MODES.includes(EMAIL_DELIVERY)) {
+  console.error(`Error: EMAIL_DELIVERY must be one of ${DELIVERY_MODES.join(', ')}`);
+  process.exit(1);
+}
+if (EMAIL_UNSUBSCRIBE && !isUnsubscribeUrl(EMAIL_UNSUBSCRIBE)) {
+  console.error('Error: EMAIL_UNSUBSCRIBE must be an https: or mailto: URL');
+  process.exit(1);
+}
+if (!['png', 'text'].includes(CHART_IMAGES)) {
+  console.error('Error: EMAIL_CHART_IMAGES must be png or text');
+  process.exit(1);
+}
 
 // If sending test email with approval button, need additional variables
 if (IS_TEST_EMAIL) {
@@ -62,76 +195,375 @@ if (missingVars.length > 0) {
 }
 
 async function sendEmail() {
+  // Shared by every variant; dry runs keep the SVG charts
+  let rasterizer = CHART_IMAGES === 'png' && !DRY_RUN ? createSvgRasterizer() : null;
+  let charts = CHART_IMAGES === 'text' ? 'text' : 'image';
   try {
-    // Read HTML report
-    const reportPath = path.join(process.cwd(), 'NOTION_PROJECT_STATUS.html');
-    if (!fs.existsSync(reportPath)) {
-      throw new Error(`Report file not found: ${reportPath}`);
-    }
+    const { variants, locale, timeZone } = loadManifest();
 
-    let htmlContent = fs.readFileSync(reportPath, 'utf-8');
+    // Today's date for the subject, formatted like the report dates
+    const dates = createDateFormatter({
+      locale: process.env.REPORT_LOCALE || locale,
+      timeZone: process.env.REPORT_TIMEZONE || timeZone
+    });
+    const dateStr = dates.short(new Date());
 
-    // If this is a test email, inject approval button
-    if (IS_TEST_EMAIL) {
-      htmlContent = injectApprovalButton(htmlContent);
+    const transport = DRY_RUN ? null : createMailTransport(EMAIL_TRANSPORT);
+    const from = transport ? transport.from : senderAddress() || LOCAL_SENDER;
+    if (DRY_RUN) {
+      console.log(`Dry run: writing messages to ${PREVIEW_DIR}; nothing will be sent`);
+    } else {
+      console.log(`Sending via ${transport.name} as ${from}`);
     }
 
-    // Parse recipients
-    const recipients = EMAIL_RECIPIENTS
-      .split(',')
-      .map(e => e.trim())
-      .filter(e => e.length > 0);
+    const recipientsFile = !IS_TEST_EMAIL && fs.existsSync(RECIPIENTS_PATH) ? loadRecipientsFile(RECIPIENTS_PATH) : null;
+    if (recipientsFile) {
+      console.log(`Recipients: ${Object.keys(recipientsFile.groups).length} group(s) from ${RECIPIENTS_PATH}`);
+    }
+    const unsubscribe = recipientsFile ? recipientsFile.unsubscribe : EMAIL_UNSUBSCRIBE;
+    const suppressions = loadSuppressionList(SUPPRESSIONS_PATH);
+    if (suppressions.size > 0) {
+      console.log(`Suppression list: ${suppressions.size} entr${suppressions.size === 1 ? 'y' : 'ies'} from ${SUPPRESSIONS_PATH}`);
+    }
 
-    if (recipients.length === 0) {
-      throw new Error('No valid email recipients provided');
+    // Check before sending anything, rather than send SVG charts no client shows
+    if (rasterizer) {
+      try {
+        await rasterizer.start();
+      } catch (error) {
+        console.warn(`⚠️  Could not start the browser that converts charts to PNG (${error.message.split('\n')[0]}); sending the chart data as text. Run "npx playwright install chromium" to send chart images, or set EMAIL_CHART_IMAGES=text to skip this check`);
+        await rasterizer.close().catch(() => {});
+        rasterizer = null;
+        charts = 'text';
+      }
     }
 
-    console.log(`Preparing to send report to: ${recipients.join(', ')}`);
+    // Send each variant on its own, so one bad address list does not stop the rest
+    const failures = [];
+    let sent = 0;
+    for (const variant of variants) {
+      const label = variant.audience === 'internal' ? 'internal report' : `${variant.title} report`;
 
-    // Get today's date for subject
-    const today = new Date();
-    const dateStr = today.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    });
+      try {
+        const { groups, source } = audienceGroups(variant, recipientsFile);
+        const audience = resolveAudience(groups, suppressions);
+        if (audience.duplicates.length > 0) {
+          console.log(`${label}: skipped ${audience.duplicates.length} repeated address(es): ${audience.duplicates.join(', ')}`);
+        }
+        if (audience.suppressed.length > 0) {
+          console.log(`${label}: suppressed ${audience.suppressed.length} address(es): ${audience.suppressed.join(', ')}`);
+        }
+        if (audience.groups.length === 0) {
+          console.log(`\nSkipping ${label}: no recipients in ${source}`);
+          continue;
+        }
 
-    const subject = IS_TEST_EMAIL
-      ? `[TEST] Product Status Update - ${dateStr}`
-      : `Product Status Update - ${dateStr}`;
+        if (!variant.path) {
+          throw new Error('No HTML report was generated; run generate-report.mjs with --format html');
+        }
+        const reportPath = path.join(process.cwd(), variant.path);
+        if (!fs.existsSync(reportPath)) {
+          throw new Error(`Report file not found: ${reportPath}`);
+        }
 
-    // Create Nodemailer transporter for Gmail
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: GMAIL_FROM_EMAIL,
-        pass: GMAIL_APP_PASSWORD  // This is the 16-char app password, not your Gmail password
-      }
-    });
+        let htmlContent = fs.readFileSync(reportPath, 'utf-8');
 
-    // Send email
-    const mailOptions = {
-      from: GMAIL_FROM_EMAIL,
-      to: recipients.join(', '),
-      subject: subject,
-      html: htmlContent
-    };
+        // If this is a test email, inject approval button
+        if (IS_TEST_EMAIL) {
+          htmlContent = injectApprovalButton(htmlContent);
+        }
+
+        // Inline the CSS, embed the images, fit the size and refuse markup that is unsafe in email
+        const email = buildEmailHtml(htmlContent, {
+          baseDir: path.dirname(reportPath),
+          charts
+        });
+        if (email.dropped.length > 0) {
+          console.log(`${label}: not inlined (no email equivalent): ${email.dropped.join(', ')}`);
+        }
+        email.warnings.forEach(warning => console.warn(`⚠️  ${label}: ${warning}`));
+
+        const images = rasterizer ? await rasterizer.toPng(email.images) : email.images;
+
+        const subjectTitle = variant.audience === 'internal'
+          ? 'Product Status Update'
+          : `${variant.title} Product Status Update`;
+        const subject = IS_TEST_EMAIL
+          ? `[TEST] ${subjectTitle} - ${dateStr}`
+          : `${subjectTitle} - ${dateStr}`;
+
+        // Message shared by every recipient; buildMessages() addresses it
+        const message = {
+          from,
+          subject: subject,
+          html: email.html
+        };
+
+        // Plain-text alternative: the text report when generated with
+        // --format text, otherwise derived from the email HTML
+        const textPath = variant.outputs?.text && path.join(process.cwd(), variant.outputs.text);
+        message.text = textPath && fs.existsSync(textPath)
+          ? fs.readFileSync(textPath, 'utf-8')
+          : htmlToText(email.html);
+
+        const attachmentTypes = variant.attachments || (variant.attachPdf ? ['pdf'] : []);
+        message.attachments = [
+          ...attachmentTypes.map(type => reportAttachment(variant, type, dateStr)),
+          ...images.map(({ cid, filename, content, contentType }) => ({ cid, filename, content, contentType }))
+        ];
+
+        if (unsubscribe) {
+          addUnsubscribe(message, unsubscribe);
+        }
+
+        const messages = buildMessages(message, audience.groups);
+        const recipientCount = audience.groups.reduce((total, group) => total + group.members.length, 0);
+        console.log(`\n${DRY_RUN ? 'Would send' : 'Sending'} ${label} (${variant.itemCount} items) to ${recipientCount} recipient(s) in ${messages.length} message(s)`);
+        console.log(`Subject: ${subject}`);
+        if (DRY_RUN) {
+          console.log(`Body: HTML ${formatSize(Buffer.byteLength(message.html))}, text ${formatSize(Buffer.byteLength(message.text))}`);
+          message.attachments.forEach(attachment => {
+            const size = attachment.content ? attachment.content.length : fs.statSync(attachment.path).size;
+            console.log(`${attachment.cid ? 'Inline image' : 'Attachment'}: ${attachment.filename} (${formatSize(size)})`);
+          });
+        }
+
+        // One failed recipient does not stop the others
+        for (const { name, delivery, recipients, mailOptions } of messages) {
+          try {
+            if (DRY_RUN) {
+              const preview = await writePreview(messages.length === 1 ? variant.id : `${variant.id}-${name}`, mailOptions);
+              console.log(`  ${delivery}: ${recipients} (${formatSize(preview.size)})`);
+              console.log(`    Message: ${preview.emlPath}`);
+              console.log(`    Preview: ${preview.htmlPath}`);
+            } else {
+              const result = await transport.send(mailOptions);
+              console.log(`✅ Sent (${delivery}) to ${recipients}`);
+              console.log(`Response ID: ${result.response}`);
+            }
+            sent++;
+          } catch (error) {
+            console.error(`❌ Failed to send ${label} to ${recipients}: ${error.message}`);
+            failures.push(`${label} (${recipients})`);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send ${label}: ${error.message}`);
+        failures.push(label);
+      }
+    }
 
-    console.log('\nSending email...');
-    const result = await transporter.sendMail(mailOptions);
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} message(s) failed to send: ${failures.join(', ')}`);
+    }
+    if (sent === 0) {
+      throw new Error('No reports were sent; check the recipients file or recipient variables');
+    }
 
-    console.log(`\n✅ Email sent successfully!`);
-    console.log(`Response ID: ${result.response}`);
-    console.log(`Subject: ${subject}`);
-    console.log(`Recipients: ${recipients.join(', ')}`);
+    if (DRY_RUN) {
+      console.log(`\nDry run: wrote ${sent} message(s) for ${variants.length} report(s) to ${PREVIEW_DIR}; nothing was sent`);
+      return;
+    }
+    console.log(`\nSent ${sent} message(s) for ${variants.length} report(s)`);
     if (IS_TEST_EMAIL) {
       console.log(`\n📧 Test email includes approval button. Click to trigger final send.`);
     }
 
   } catch (error) {
     console.error('Error sending email:', error.message);
+    await rasterizer?.close().catch(() => {});
     process.exit(1);
   }
+  await rasterizer?.close();
+}
+
+/**
+ * Read the report manifest: the variants to send and the date settings
+ * they were generated with
+ * Without a manifest (reports generated by an older version), the single
+ * combined report goes to EMAIL_RECIPIENTS.
+ *
+ * @returns {{variants: Array<{id: string, audience: string, title: string, path: string, itemCount: number, recipientsEnv: string, attachments: Array<string>}>, locale?: string, timeZone?: string}}
+ */
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    console.log(`No report manifest at ${MANIFEST_PATH}; sending NOTION_PROJECT_STATUS.html only`);
+    return { variants: [{
+      id: 'internal',
+      audience: 'internal',
+      title: 'All clients',
+      path: 'NOTION_PROJECT_STATUS.html',
+      itemCount: 0,
+      recipientsEnv: 'EMAIL_RECIPIENTS',
+      attachments: []
+    }] };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  if (!Array.isArray(manifest.variants) || manifest.variants.length === 0) {
+    throw new Error(`${MANIFEST_PATH} has no report variants`);
+  }
+  console.log(`Loaded ${manifest.variants.length} report variant(s) for ${manifest.reportDate} from ${MANIFEST_PATH}`);
+  return manifest;
+}
+
+/**
+ * Build one of a variant's attachments from its generated output
+ *
+ * @param {object} variant - Manifest variant
+ * @param {string} type - Attachment type: pdf, csv or json
+ * @param {string} dateStr - Report date for the file name
+ * @returns {{filename: string, path: string, contentType: string}}
+ */
+function reportAttachment(variant, type, dateStr) {
+  const attachment = ATTACHMENTS[type];
+  if (!attachment) {
+    throw new Error(`Unknown attachment type "${type}" (expected one of: ${Object.keys(ATTACHMENTS).join(', ')})`);
+  }
+  const filePath = variant.outputs?.[type] && path.join(process.cwd(), variant.outputs[type]);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`${type.toUpperCase()} attachment not found for ${variant.id}; ${attachment.hint}`);
+  }
+
+  const title = variant.audience === 'internal' ? 'Product Status Report' : `${variant.title} Product Status Report`;
+  return {
+    filename: `${title} - ${dateStr}.${type}`.replace(/[\\/:*?"<>|,]/g, ''),
+    path: filePath,
+    contentType: attachment.contentType
+  };
+}
+
+/**
+ * Write a message as <id>.eml, plus its HTML body as <id>.html
+ * The .eml keeps the Bcc header so the preview shows every recipient.
+ *
+ * @param {string} id - File name: the variant id, plus the group or recipient when there are several messages
+ * @param {object} mailOptions - Message as it would be sent
+ * @returns {Promise<{emlPath: string, htmlPath: string, size: number}>}
+ */
+async function writePreview(id, mailOptions) {
+  const raw = await composeMessage(mailOptions, { keepBcc: true });
+  const emlPath = path.join(PREVIEW_DIR, `${id}.eml`);
+  const htmlPath = path.join(PREVIEW_DIR, `${id}.html`);
+
+  fs.mkdirSync(PREVIEW_DIR, { recursive: true });
+  fs.writeFileSync(emlPath, raw);
+  fs.writeFileSync(htmlPath, mailOptions.html);
+  return { emlPath, htmlPath, size: raw.length };
+}
+
+/**
+ * Format a byte count as KB
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * The recipient groups for a variant
+ * With config/recipients.json, the variant's groups from "reports"; otherwise
+ * (and for test emails, which go to the reviewer) the comma-separated list
+ * in the variant's EMAIL_RECIPIENTS variable, delivered per EMAIL_DELIVERY.
+ *
+ * @param {object} variant - Manifest variant
+ * @param {object|null} recipientsFile - Loaded recipients file
+ * @returns {{groups: Array<object>, source: string}}
+ */
+function audienceGroups(variant, recipientsFile) {
+  if (recipientsFile) {
+    const names = recipientsFile.reports[variant.id] || [];
+    return {
+      groups: names.map(name => recipientsFile.groups[name]),
+      source: `${RECIPIENTS_PATH} (reports.${variant.id})`
+    };
+  }
+
+  // Test emails go to the reviewer; real sends follow the variant's routing
+  const recipientsEnv = IS_TEST_EMAIL ? 'EMAIL_RECIPIENTS' : variant.recipientsEnv;
+  const { recipients, invalid } = parseRecipientList(process.env[recipientsEnv]);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid email address(es) in ${recipientsEnv}: ${invalid.join(', ')}`);
+  }
+  return {
+    groups: [{ name: recipientsEnv.toLowerCase(), delivery: EMAIL_DELIVERY, members: recipients }],
+    source: recipientsEnv
+  };
+}
+
+/**
+ * Address the shared message to each group per its delivery mode
+ * bcc: one message to the sender with the group on Bcc; to: one message with
+ * everyone on To; individual: one personalized message per recipient.
+ *
+ * @param {object} message - Message without recipients
+ * @param {Array<object>} groups - Resolved recipient groups
+ * @returns {Array<{name: string, delivery: string, recipients: string, mailOptions: object}>}
+ */
+function buildMessages(message, groups) {
+  return groups.flatMap(group => {
+    const recipients = group.members.map(member => member.email).join(', ');
+    if (group.delivery === 'to') {
+      return [{ name: group.name, delivery: 'to', recipients, mailOptions: { ...message, to: group.members.map(toAddress) } }];
+    }
+    if (group.delivery === 'bcc') {
+      return [{ name: group.name, delivery: 'bcc', recipients, mailOptions: { ...message, to: message.from, bcc: group.members.map(toAddress) } }];
+    }
+    return group.members.map(member => {
+      const mailOptions = { ...message, to: toAddress(member) };
+      const greeting = personalizeGreeting(group, member);
+      if (greeting) {
+        mailOptions.html = insertGreeting(message.html, greeting);
+        if (message.text) {
+          mailOptions.text = `${greeting}\n\n${message.text}`;
+        }
+      }
+      return {
+        name: member.email.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        delivery: 'individual',
+        recipients: member.email,
+        mailOptions
+      };
+    });
+  });
+}
+
+/**
+ * Put a personalized greeting at the top of the report content
+ * The report template marks the spot with <!--email-greeting-->; without
+ * it, the greeting goes right after the opening body tag.
+ *
+ * @param {string} html - Email HTML
+ * @param {string} greeting - Plain-text greeting
+ * @returns {string}
+ */
+function insertGreeting(html, greeting) {
+  const greetingHtml = `<p style="margin: 0 0 20px 0; font-size: 15px;">${escapeHtml(greeting)}</p>`;
+  if (html.includes(GREETING_MARKER)) {
+    return html.replace(GREETING_MARKER, () => greetingHtml);
+  }
+  return html.replace(/(<body[^>]*>)/i, match => match + greetingHtml);
+}
+
+/**
+ * Add an unsubscribe link to a message
+ * Sets the List-Unsubscribe header, which mail clients show as an
+ * unsubscribe button, and ends the HTML (in the report footer when there is
+ * one) and the text part with a visible link.
+ *
+ * @param {object} message - Message with html and text
+ * @param {string} url - https: or mailto: URL (see isUnsubscribeUrl())
+ */
+function addUnsubscribe(message, url) {
+  const footerHtml = `<p style="margin: 10px 0 0 0; font-size: 12px; color: #7f8c8d;">Don't want these updates? <a href="${escapeHtml(url)}" style="color: #7f8c8d;">Unsubscribe</a></p>`;
+  const closingTag = ['</footer>', '</body>'].find(tag => message.html.includes(tag));
+  message.html = closingTag
+    ? message.html.replace(closingTag, () => `${footerHtml}\n${closingTag}`)
+    : `${message.html}${footerHtml}`;
+  message.text = `${message.text.trimEnd()}\n\nUnsubscribe: ${url}\n`;
+  message.headers = { ...message.headers, 'List-Unsubscribe': `<${url}>` };
 }
 
 /**
@@ -145,7 +577,7 @@ function injectApprovalButton(htmlContent) {
   const approvalButtonHtml = `
 <div style="background: #f0fdf4; border: 1px solid #86efac; border-radius: 8px; padding: 20px; margin-bottom: 20px; text-align: center;">
   <p style="margin: 0 0 12px 0; color: #166534; font-weight: bold;">📧 Preview: Click below to approve and send to all recipients</p>
-  <a href="${approvalUrl}" style="display: inline-block; background: #22c55e; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; border: none; cursor: pointer;">✅ Approve & Send</a>
+  <a href="${escapeHtml(approvalUrl)}" style="display: inline-block; background: #22c55e; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; border: none; cursor: pointer;">✅ Approve & Send</a>
   <p style="margin: 12px 0 0 0; color: #666; font-size: 12px;">This link expires in 24 hours.</p>
 </div>
   `;
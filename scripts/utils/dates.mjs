@@ -0,0 +1,87 @@
+/**
+ * Report dates
+ *
+ * Formats every date shown in the report, email subject and attachments in
+ * one locale and IANA time zone, so a run at 8 AM Central shows the Central
+ * calendar day even though the Actions runner is on UTC. Notion date-only
+ * values (YYYY-MM-DD) are calendar days and are never shifted by the zone.
+ */
+
+export const DEFAULT_LOCALE = 'en-US';
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a locale and time zone
+ *
+ * @param {string} [locale] - BCP 47 locale, e.g. "en-US"
+ * @param {string} [timeZone] - IANA time zone, e.g. "America/Chicago"
+ * @returns {Array<string>} - Problems found (empty when both are valid)
+ */
+export function validateDateSettings(locale, timeZone) {
+  const errors = [];
+  if (locale !== undefined) {
+    try {
+      if (Intl.DateTimeFormat.supportedLocalesOf(locale).length === 0) {
+        errors.push(`locale "${locale}" is not supported`);
+      }
+    } catch {
+      errors.push(`locale "${locale}" is not a valid locale tag`);
+    }
+  }
+  if (timeZone !== undefined) {
+    try {
+      new Intl.DateTimeFormat(DEFAULT_LOCALE, { timeZone });
+    } catch {
+      errors.push(`timeZone "${timeZone}" is not an IANA time zone (e.g. "America/Chicago")`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Create the date formatter for a locale and time zone
+ *
+ * @param {object} [options]
+ * @param {string} [options.locale='en-US'] - BCP 47 locale
+ * @param {string} [options.timeZone='UTC'] - IANA time zone
+ * @returns {{locale: string, timeZone: string, long: function, short: function, dateTime: function, isoDay: function}}
+ */
+export function createDateFormatter({ locale = DEFAULT_LOCALE, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const errors = validateDateSettings(locale, timeZone);
+  if (errors.length > 0) {
+    throw new Error(`Invalid date settings: ${errors.join('; ')}`);
+  }
+
+  // Date-only values are formatted as UTC midnight in UTC, i.e. the same calendar day
+  const format = (value, options) => {
+    const dateOnly = typeof value === 'string' && DATE_ONLY.test(value);
+    const date = dateOnly ? new Date(`${value}T00:00:00Z`) : new Date(value);
+    return date.toLocaleString(locale, { ...options, timeZone: dateOnly ? 'UTC' : timeZone });
+  };
+
+  return {
+    locale,
+    timeZone,
+    /** "October 19, 2026" - report date, headings */
+    long: value => format(value, { year: 'numeric', month: 'long', day: 'numeric' }),
+    /** "Oct 19, 2026" - subjects, due dates, file names */
+    short: value => format(value, { year: 'numeric', month: 'short', day: 'numeric' }),
+    /** "Oct 19, 2026, 8:02 AM CDT" - data as of */
+    dateTime: value => format(value, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }),
+    /** "2026-10-19" - calendar day in the time zone, for comparisons and file names */
+    isoDay: value => {
+      if (typeof value === 'string' && DATE_ONLY.test(value)) {
+        return value;
+      }
+      const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      }).formatToParts(new Date(value)).map(part => [part.type, part.value]));
+      return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+  };
+}
@@ -0,0 +1,543 @@
+import fs from 'fs';
+import path from 'path';
+import { htmlToPlainText } from './report-formats.mjs';
+
+/**
+ * Email HTML build
+ *
+ * Gmail, Outlook and most webmail clients drop <style> blocks and external
+ * stylesheets, so the report's class-based styling has to be copied into
+ * each element's style attribute before sending. inlineCss() does that for
+ * the selectors the report templates use (type, class, id, descendant and
+ * child selectors); rules email clients cannot apply anyway (pseudo-classes,
+ * @media, @font-face) are dropped and reported. embedImages() turns inline
+ * SVG charts and local images into CID attachments (or the charts into
+ * text), fitEmailSize() keeps the message under Gmail's clipping size, and
+ * checkEmailHtml() then scans the result for constructs that are unsafe or
+ * unsupported in email. htmlToText() derives the plain-text part when none
+ * was generated.
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const COMPOUND_PATTERN = /^([a-zA-Z][\w-]*|\*)?((?:[.#][\w-]+)*)$/;
+
+// Gmail clips messages larger than this, hiding the rest behind a link
+const GMAIL_CLIP_BYTES = 102 * 1024;
+
+// fitEmailSize() aims this far below the clip size, since the approval
+// button and greeting are added after the build
+const SIZE_HEADROOM_BYTES = 2 * 1024;
+
+// Elements whose white space is significant (<pre>, <textarea>, or a
+// white-space: pre* style, like the latest notes), followed by the
+// indentation fitEmailSize() removes everywhere else
+const INDENTATION_PATTERN = /(<(pre|textarea)\b[\s\S]*?<\/\2\s*>|<([a-zA-Z][\w-]*)\b[^>]*\bwhite-space:\s*(?:pre|pre-wrap|pre-line|break-spaces)\b[^>]*>[\s\S]*?<\/\3\s*>)|\n[ \t]+/gi;
+
+// Blocks fitEmailSize() may leave out, marked by generate-report.mjs
+const OPTIONAL_BLOCK_PATTERN = /<div class="issue-note"[^>]*>[\s\S]*?<\/div>/g;
+
+// Named entities the report uses beyond the ones htmlToPlainText() decodes
+const TEXT_ENTITIES = { rarr: '→', larr: '←', copy: '©', mdash: '—', ndash: '–', hellip: '…', middot: '·', bull: '•' };
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Constructs checked by checkEmailHtml()
+ * Errors are unsafe or break the email; warnings render poorly in some clients.
+ */
+const EMAIL_CHECKS = [
+  { level: 'error', pattern: /<script\b/i, message: '<script> elements' },
+  { level: 'error', pattern: /<(iframe|object|embed|form|input|button)\b/i, message: 'interactive or embedded elements (iframe, object, embed, form controls)' },
+  { level: 'error', pattern: /<[^>]*\son[a-z]+\s*=/i, message: 'inline event handler attributes (onclick, onerror, ...)' },
+  { level: 'error', pattern: /(href|src)\s*=\s*["']?\s*(javascript|vbscript|data):/i, message: 'javascript:, vbscript: or data: URLs' },
+  { level: 'error', pattern: /<style\b/i, message: '<style> blocks left after inlining' },
+  { level: 'error', pattern: /<link\b[^>]*stylesheet/i, message: 'external stylesheets' },
+  { level: 'error', pattern: /var\(--/i, message: 'CSS custom properties (var(--...))' },
+  { level: 'warning', pattern: /display:\s*(flex|grid|inline-flex|inline-grid)/i, message: 'flex/grid layout (ignored by Outlook)' },
+  { level: 'warning', pattern: /position:\s*(absolute|fixed|sticky)/i, message: 'absolute/fixed positioning (stripped by Gmail)' },
+  { level: 'warning', pattern: /<svg\b/i, message: 'inline SVG (not shown by Gmail or Outlook)' },
+  { level: 'warning', pattern: /url\(/i, message: 'CSS background images (blocked by some clients)' }
+];
+
+function parseDeclarations(text) {
+  return text
+    .split(';')
+    .map(declaration => declaration.trim())
+    .filter(Boolean)
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return null;
+      let value = declaration.substring(colon + 1).trim();
+      const important = /!important$/i.test(value);
+      if (important) {
+        value = value.replace(/\s*!important$/i, '');
+      }
+      return { property: declaration.substring(0, colon).trim().toLowerCase(), value, important };
+    })
+    .filter(Boolean);
+}
+
+function parseCompound(text) {
+  const match = text.match(COMPOUND_PATTERN);
+  if (!match || (!match[1] && !match[2])) return null;
+  const simple = match[2].match(/[.#][\w-]+/g) || [];
+  return {
+    tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null,
+    classes: simple.filter(part => part[0] === '.').map(part => part.substring(1)),
+    ids: simple.filter(part => part[0] === '#').map(part => part.substring(1))
+  };
+}
+
+/**
+ * Parse a selector into compounds joined by descendant (' ') or child ('>')
+ * combinators, rightmost last. Returns null for anything else.
+ */
+function parseSelector(text) {
+  const tokens = text.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+  const parts = [];
+  let combinator = ' ';
+  for (const token of tokens) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+    const compound = parseCompound(token);
+    if (!compound) return null;
+    parts.push({ ...compound, combinator });
+    combinator = ' ';
+  }
+  if (parts.length === 0) return null;
+
+  const specificity = parts.reduce((total, part) =>
+    total + part.ids.length * 10000 + part.classes.length * 100 + (part.tag ? 1 : 0), 0);
+  return { parts, specificity };
+}
+
+function matchesCompound(compound, element) {
+  return (!compound.tag || compound.tag === element.tag)
+    && compound.classes.every(name => element.classes.includes(name))
+    && compound.ids.every(id => element.id === id);
+}
+
+// Match right to left: the element itself, then its ancestors
+function matchesSelector(selector, element, ancestors) {
+  const { parts } = selector;
+  if (!matchesCompound(parts[parts.length - 1], element)) return false;
+
+  let depth = ancestors.length - 1;
+  for (let i = parts.length - 2; i >= 0; i--) {
+    const combinator = parts[i + 1].combinator;
+    if (combinator === '>') {
+      if (depth < 0 || !matchesCompound(parts[i], ancestors[depth])) return false;
+      depth--;
+    } else {
+      while (depth >= 0 && !matchesCompound(parts[i], ancestors[depth])) depth--;
+      if (depth < 0) return false;
+      depth--;
+    }
+  }
+  return true;
+}
+
+/**
+ * Split a stylesheet into inlinable rules, custom properties and dropped rules
+ */
+function parseStylesheet(css) {
+  const rules = [];
+  const variables = new Map();
+  const dropped = [];
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  let i = 0;
+  let order = 0;
+  while (i < source.length) {
+    const open = source.indexOf('{', i);
+    if (open === -1) break;
+    const prelude = source.substring(i, open).trim();
+
+    // At-rules with a block (@media, @supports, ...) are skipped whole
+    if (prelude.startsWith('@')) {
+      let depth = 1;
+      let j = open + 1;
+      while (j < source.length && depth > 0) {
+        if (source[j] === '{') depth++;
+        if (source[j] === '}') depth--;
+        j++;
+      }
+      dropped.push(prelude);
+      i = j;
+      continue;
+    }
+
+    const close = source.indexOf('}', open);
+    const declarations = parseDeclarations(source.substring(open + 1, close === -1 ? source.length : close));
+    i = close === -1 ? source.length : close + 1;
+
+    declarations.filter(d => d.property.startsWith('--')).forEach(d => variables.set(d.property, d.value));
+    const styles = declarations.filter(d => !d.property.startsWith('--'));
+    if (styles.length === 0) continue;
+
+    prelude.split(',').map(selector => selector.trim()).filter(Boolean).forEach(text => {
+      const selector = parseSelector(text);
+      if (selector) {
+        rules.push({ selector, declarations: styles, order: order++ });
+      } else {
+        dropped.push(text);
+      }
+    });
+  }
+
+  // Stylesheet cascade: lower specificity first, source order breaks ties
+  rules.sort((a, b) => a.selector.specificity - b.selector.specificity || a.order - b.order);
+  return { rules, variables, dropped };
+}
+
+function resolveVariables(value, variables) {
+  return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/g, (match, name, fallback) =>
+    variables.get(name) ?? (fallback !== undefined ? fallback.trim() : match));
+}
+
+function serializeDeclarations(declarations) {
+  // Later declarations win; keep each property once, at its last position
+  const byProperty = new Map();
+  declarations.forEach(declaration => {
+    byProperty.delete(declaration.property);
+    byProperty.set(declaration.property, declaration);
+  });
+  return [...byProperty.values()]
+    .map(({ property, value, important }) => `${property}: ${value}${important ? ' !important' : ''};`)
+    .join(' ');
+}
+
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s"'=<>\`]+))`, 'i'));
+  return match ? (match[2] ?? match[3] ?? match[4]) : null;
+}
+
+/**
+ * Inline a document's <style> rules into style attributes
+ * Existing style attributes win over stylesheet rules (unless !important),
+ * CSS custom properties are resolved, and the <style> blocks and external
+ * stylesheet links are removed. SVG content is left as-is.
+ *
+ * @param {string} html - Full HTML document
+ * @returns {{html: string, dropped: Array<string>}} - Inlined HTML and the selectors/at-rules that could not be inlined
+ */
+export function inlineCss(html) {
+  let css = '';
+  let body = html.replace(/<style\b[^>]*>([\s\S]*?)<\/style>/gi, (match, content) => {
+    css += `${content}\n`;
+    return '';
+  });
+  body = body.replace(/\s*<link\b[^>]*rel=["']?stylesheet["']?[^>]*>/gi, '');
+
+  const { rules, variables, dropped } = parseStylesheet(css);
+  const stack = [];
+  let svgDepth = 0;
+
+  const output = body.replace(TAG_PATTERN, (match, endTag, startTag, attributes = '', selfClosing) => {
+    if (endTag) {
+      const tag = endTag.toLowerCase();
+      const index = stack.map(element => element.tag).lastIndexOf(tag);
+      if (index !== -1) {
+        stack.length = index;
+      }
+      if (tag === 'svg' && svgDepth > 0) svgDepth--;
+      return match;
+    }
+    if (!startTag) {
+      return match;
+    }
+
+    const tag = startTag.toLowerCase();
+    const element = {
+      tag,
+      classes: (getAttribute(attributes, 'class') || '').split(/\s+/).filter(Boolean),
+      id: getAttribute(attributes, 'id')
+    };
+    const inSvg = svgDepth > 0 || tag === 'svg';
+    const isOpen = !selfClosing && !VOID_ELEMENTS.has(tag);
+    if (tag === 'svg' && isOpen) svgDepth++;
+
+    let result = match;
+    if (!inSvg && !['html', 'head', 'title', 'meta'].includes(tag)) {
+      const matched = rules.filter(rule => matchesSelector(rule.selector, element, stack));
+      const existing = getAttribute(attributes, 'style');
+      if (matched.length > 0 || (existing && existing.includes('var('))) {
+        const declarations = matched.flatMap(rule => rule.declarations);
+        const inline = existing ? parseDeclarations(existing) : [];
+        const ordered = [
+          ...declarations.filter(d => !d.important),
+          ...inline,
+          ...declarations.filter(d => d.important)
+        ].map(d => ({ ...d, value: resolveVariables(d.value, variables) }));
+        const style = serializeDeclarations(ordered).replace(/"/g, "'");
+        const rest = attributes.replace(/\sstyle\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+)/i, '');
+        result = `<${startTag}${rest} style="${style}"${selfClosing ? ' /' : ''}>`;
+      }
+    }
+
+    if (isOpen) {
+      stack.push(element);
+    }
+    return result;
+  });
+
+  return { html: output, dropped: [...new Set(dropped)] };
+}
+
+/**
+ * Scan HTML for constructs that are unsafe or unsupported in email clients
+ *
+ * @param {string} html - Email HTML (after inlineCss())
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+export function checkEmailHtml(html) {
+  const errors = [];
+  const warnings = [];
+  EMAIL_CHECKS.forEach(check => {
+    const count = (html.match(new RegExp(check.pattern.source, 'gi')) || []).length;
+    if (count > 0) {
+      (check.level === 'error' ? errors : warnings).push(`${check.message} (${count} found)`);
+    }
+  });
+
+  const size = Buffer.byteLength(html, 'utf-8');
+  if (size > GMAIL_CLIP_BYTES) {
+    errors.push(`message is ${Math.round(size / 1024)} KB; Gmail clips messages over 102 KB`);
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Keep an email under Gmail's clipping size
+ * Indentation is always removed (the report templates are indented for
+ * reading, which costs several KB), except inside elements that keep their
+ * white space. If the message is still too large, the item notes (update
+ * lists and latest notes, marked class="issue-note") are left out and a line
+ * at the top of the message says so; the full report is in the attachments
+ * and the other formats.
+ *
+ * @param {string} html - Email HTML
+ * @param {number} [limit] - Size to stay under, in bytes (default: Gmail's clip size less some headroom)
+ * @returns {{html: string, shortened: boolean}}
+ */
+export function fitEmailSize(html, limit = GMAIL_CLIP_BYTES - SIZE_HEADROOM_BYTES) {
+  const compact = html.replace(INDENTATION_PATTERN, (match, preformatted) => preformatted || '\n');
+  if (Buffer.byteLength(compact, 'utf-8') <= limit || !compact.includes('class="issue-note"')) {
+    return { html: compact, shortened: false };
+  }
+
+  const notice = '<p style="margin: 0 0 16px 0; font-size: 13px; color: #7f8c8d;">Item notes are left out of this email to keep it under Gmail\'s size limit; see the attached or full report for them.</p>';
+  const shortened = compact.replace(OPTIONAL_BLOCK_PATTERN, '');
+  const anchor = shortened.match(/<div class="content"[^>]*>/) || shortened.match(/<body\b[^>]*>/i);
+  return {
+    html: anchor
+      ? shortened.replace(anchor[0], `${anchor[0]}\n${notice}`)
+      : `${notice}\n${shortened}`,
+    shortened: true
+  };
+}
+
+/**
+ * Move images into CID attachments
+ * Gmail and Outlook show neither inline SVG nor data: images, and most
+ * clients block remote images until the reader allows them. Inline <svg>
+ * charts, data: URIs and local image files (paths relative to baseDir) are
+ * replaced with <img src="cid:..."> references to attachments, which
+ * render straight away. Remote (http/https) images are left alone.
+ * With charts: 'text', each chart is replaced with a line of text instead:
+ * its title and data, from the <title> and <desc> report-charts.mjs writes.
+ *
+ * @param {string} html - Email HTML
+ * @param {object} [options]
+ * @param {string} [options.baseDir=process.cwd()] - Directory local image paths are relative to
+ * @param {string} [options.charts='image'] - 'image' (CID attachment) or 'text'
+ * @returns {{html: string, images: Array<{cid: string, filename: string, content: Buffer, contentType: string}>, errors: Array<string>}}
+ */
+export function embedImages(html, { baseDir = process.cwd(), charts = 'image' } = {}) {
+  const images = [];
+  const errors = [];
+  const attach = (content, contentType) => {
+    const n = images.length + 1;
+    const extension = Object.keys(IMAGE_TYPES).find(ext => IMAGE_TYPES[ext] === contentType)?.substring(1) || 'bin';
+    const cid = `image-${n}@status-report`;
+    images.push({ cid, filename: `image-${n}.${extension}`, content, contentType });
+    return cid;
+  };
+
+  const output = html
+    .replace(/<svg\b([^>]*)>[\s\S]*?<\/svg>/gi, (svg, attributes) => {
+      if (charts === 'text') {
+        return chartText(svg);
+      }
+      const cid = attach(Buffer.from(svg, 'utf-8'), 'image/svg+xml');
+      const width = getAttribute(attributes, 'width');
+      const height = getAttribute(attributes, 'height');
+      const title = svg.match(/<title>([^<]*)<\/title>/);
+      return `<img src="cid:${cid}"${width ? ` width="${width}"` : ''}${height ? ` height="${height}"` : ''} alt="${title ? title[1] : ''}" style="border: 0;">`;
+    })
+    .replace(/<img\b([^>]*)>/gi, (tag, attributes) => {
+      const src = getAttribute(attributes, 'src');
+      if (!src || /^(cid:|https?:|\/\/)/i.test(src)) {
+        return tag;
+      }
+
+      let cid;
+      const dataUri = src.match(/^data:(image\/[\w+.-]+);base64,(.*)$/i);
+      if (dataUri) {
+        cid = attach(Buffer.from(dataUri[2], 'base64'), dataUri[1].toLowerCase());
+      } else {
+        const filePath = path.resolve(baseDir, src);
+        const contentType = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+        if (!fs.existsSync(filePath)) {
+          errors.push(`image not found: ${src} (looked in ${baseDir})`);
+          return tag;
+        }
+        if (!contentType) {
+          errors.push(`unsupported image type: ${src}`);
+          return tag;
+        }
+        cid = attach(fs.readFileSync(filePath), contentType);
+      }
+      return tag.replace(/\ssrc\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+)/i, ` src="cid:${cid}"`);
+    });
+
+  return { html: output, images, errors };
+}
+
+// A chart as a line of text: "Items by client: CBB: 2, WL: 1"
+function chartText(svg) {
+  const title = svg.match(/<title>([^<]*)<\/title>/);
+  const description = svg.match(/<desc>([^<]*)<\/desc>/);
+  const text = [title?.[1], description?.[1]].filter(Boolean).join(': ');
+  return text ? `<p style="margin: 0 0 8px 0; font-size: 13px;">${text}</p>` : '';
+}
+
+/**
+ * Convert an email HTML document to plain text
+ * Used for the text/plain part when generate-report.mjs did not write one
+ * (--format text). Links keep their URL in parentheses, list items become
+ * "- " lines, and images are dropped.
+ *
+ * @param {string} html - Email HTML
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const body = (html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1];
+  const text = body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(style|script|svg|title)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attributes, label) => {
+      const href = getAttribute(attributes, 'href');
+      const labelText = label.replace(/<[^>]+>/g, '').trim();
+      return href && /^https?:/i.test(href) && href !== labelText ? `${label} (${href})` : label;
+    })
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|h[1-6]|ul|ol|table|tr|section|header|footer)\b[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '  ')
+    .replace(/&([a-z]+);/g, (entity, name) => TEXT_ENTITIES[name] ?? entity);
+
+  return htmlToPlainText(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+/**
+ * Render SVG images to PNG with Playwright
+ * Most email clients will not display SVG even as an attachment, so charts
+ * embedded by embedImages() are sent as PNG, rendered with the browser
+ * export-pdf.mjs uses. The browser starts on first use, or on start() to
+ * find out before sending anything that it is missing.
+ *
+ * @param {object} [options]
+ * @param {number} [options.scale=2] - Device pixel ratio, for sharp charts on high-DPI screens
+ * @returns {{start: function(): Promise<void>, toPng: function(Array<object>): Promise<Array<object>>, close: function(): Promise<void>}}
+ */
+export function createSvgRasterizer({ scale = 2 } = {}) {
+  let browser;
+  let page;
+
+  return {
+    /**
+     * @throws {Error} When Playwright or its browser is not installed
+     */
+    async start() {
+      if (!page) {
+        const { chromium } = await import('playwright');
+        browser = await chromium.launch();
+        page = await browser.newPage({ deviceScaleFactor: scale });
+      }
+    },
+
+    /**
+     * @param {Array<object>} images - Images from embedImages()
+     * @returns {Promise<Array<object>>} - Same images, SVGs replaced with PNGs
+     * @throws {Error} When Playwright or its browser is not installed
+     */
+    async toPng(images) {
+      if (!images.some(image => image.contentType === 'image/svg+xml')) {
+        return images;
+      }
+      await this.start();
+
+      const converted = [];
+      for (const image of images) {
+        if (image.contentType !== 'image/svg+xml') {
+          converted.push(image);
+          continue;
+        }
+        await page.setContent(`<!DOCTYPE html><html><body style="margin: 0;">${image.content.toString('utf-8')}</body></html>`);
+        const content = await page.locator('svg').first().screenshot({ omitBackground: true });
+        converted.push({ ...image, content, contentType: 'image/png', filename: image.filename.replace(/\.svg$/, '.png') });
+      }
+      return converted;
+    },
+
+    async close() {
+      if (browser) {
+        await browser.close();
+      }
+    }
+  };
+}
+
+/**
+ * Build the email version of a report: inline the CSS, embed the images,
+ * fit it under Gmail's clipping size, then check it
+ *
+ * @param {string} html - Report HTML
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - Directory local image paths are relative to (see embedImages())
+ * @param {string} [options.charts] - 'image' or 'text' (see embedImages())
+ * @returns {{html: string, images: Array<object>, dropped: Array<string>, warnings: Array<string>}}
+ * @throws {Error} When the result contains email-unsafe constructs or is too large
+ */
+export function buildEmailHtml(html, options = {}) {
+  const inlined = inlineCss(html);
+  const embedded = embedImages(inlined.html, options);
+  const fitted = fitEmailSize(embedded.html);
+  const { errors, warnings } = checkEmailHtml(fitted.html);
+  errors.push(...embedded.errors);
+  if (fitted.shortened) {
+    warnings.push('item notes left out to stay under Gmail\'s 102 KB limit');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Email HTML is not safe to send:\n  ${errors.join('\n  ')}`);
+  }
+  return { html: fitted.html, images: embedded.images, dropped: inlined.dropped, warnings };
+}
@@ -0,0 +1,73 @@
+/**
+ * HTML escaping
+ *
+ * The one place text becomes HTML. Notion titles, clients, statuses, notes,
+ * config labels and error messages all pass through escapeHtml() before they
+ * are written into a report, email or page, so a hostile value can neither
+ * add markup nor break out of a quoted attribute.
+ */
+
+// C0/C1 control characters other than tab and newline, which some mail
+// clients render unpredictably or use to hide content
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
+
+// Bidirectional overrides/isolates and other invisible formatting characters,
+// which can make displayed text read differently from its content
+const INVISIBLE_CHARS = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\uFEFF]/g;
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Remove control and invisible formatting characters from text
+ *
+ * @param {*} value - Any value; null and undefined become ''
+ * @returns {string}
+ */
+export function sanitizeText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .normalize('NFC')
+    .replace(CONTROL_CHARS, '')
+    .replace(INVISIBLE_CHARS, '');
+}
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ * Also valid inside SVG/XML.
+ *
+ * @param {*} value - Any value; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return sanitizeText(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Check a URL for use in an href and escape it
+ * Only http(s) and mailto links are allowed; anything else (javascript:,
+ * data:, relative paths) yields null so the caller can leave the link out.
+ *
+ * @param {*} value - URL
+ * @returns {string|null} - Escaped URL, or null when not allowed
+ */
+export function safeUrl(value) {
+  const text = sanitizeText(value).trim();
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:', 'mailto:'].includes(url.protocol)) {
+    return null;
+  }
+  return escapeHtml(url.href);
+}
@@ -0,0 +1,330 @@
+import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Mail transports
+ *
+ * send-email.mjs builds nodemailer-style message objects (from, to, subject,
+ * html, text, attachments) and hands them to the transport named by
+ * EMAIL_TRANSPORT:
+ *
+ * - gmail: Gmail SMTP with an app password (default)
+ * - gmail-oauth2: Gmail SMTP with the refresh token from gmail-oauth-helper.mjs
+ * - smtp: any SMTP server
+ * - resend: Resend HTTP API
+ * - ses: Amazon SES v2 HTTP API (raw MIME, signed with AWS Signature V4)
+ * - file: writes each message as an .eml file instead of sending it
+ *
+ * Every transport has the same send(message) → {id, response} interface, so
+ * the sender does not care which one is configured.
+ */
+
+export const DEFAULT_TRANSPORT = 'gmail';
+
+// Sender for transports that do not need a real one (file, dry runs)
+export const LOCAL_SENDER = 'status-report@localhost';
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+const DEFAULT_OUTBOX_DIR = 'outbox';
+
+/**
+ * Environment variables each transport needs
+ * `from` is EMAIL_FROM, falling back to GMAIL_FROM_EMAIL.
+ */
+const TRANSPORTS = {
+  gmail: ['GMAIL_FROM_EMAIL', 'GMAIL_APP_PASSWORD'],
+  'gmail-oauth2': ['GMAIL_FROM_EMAIL', 'GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'GMAIL_REFRESH_TOKEN'],
+  smtp: ['SMTP_HOST', 'EMAIL_FROM'],
+  resend: ['RESEND_API_KEY', 'EMAIL_FROM'],
+  ses: ['AWS_REGION', 'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'EMAIL_FROM'],
+  file: []
+};
+
+/**
+ * Sender address: EMAIL_FROM, falling back to GMAIL_FROM_EMAIL
+ *
+ * @param {object} [env=process.env]
+ * @returns {string|undefined}
+ */
+export function senderAddress(env = process.env) {
+  return env.EMAIL_FROM || env.GMAIL_FROM_EMAIL;
+}
+
+/**
+ * List the environment variables a transport is missing
+ *
+ * @param {string} name - Transport name
+ * @param {object} [env=process.env]
+ * @returns {Array<string>} - Missing variable names (empty when ready)
+ * @throws {Error} When the transport name is unknown
+ */
+export function missingTransportVars(name, env = process.env) {
+  const required = TRANSPORTS[name];
+  if (!required) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return required
+    // EMAIL_FROM may come from GMAIL_FROM_EMAIL
+    .filter(variable => !(variable === 'EMAIL_FROM' ? senderAddress(env) : env[variable]));
+}
+
+/**
+ * Render a message to RFC 5322 (.eml) bytes
+ * Bcc recipients are kept out of the headers, as an SMTP server would,
+ * unless keepBcc is set (for previews).
+ *
+ * @param {object} message - nodemailer message options
+ * @param {object} [options]
+ * @param {boolean} [options.keepBcc=false] - Include the Bcc header
+ * @returns {Promise<Buffer>}
+ */
+export function composeMessage(message, { keepBcc = false } = {}) {
+  const mail = new MailComposer(message).compile();
+  mail.keepBcc = keepBcc;
+  return mail.build();
+}
+
+/**
+ * Create the transport named by EMAIL_TRANSPORT
+ *
+ * @param {string} [name] - Transport name (default: EMAIL_TRANSPORT or "gmail")
+ * @param {object} [env=process.env]
+ * @returns {{name: string, from: string, send: function(object): Promise<{id: string, response: string}>}}
+ * @throws {Error} When the transport is unknown or its variables are missing
+ */
+export function createMailTransport(name = process.env.EMAIL_TRANSPORT || DEFAULT_TRANSPORT, env = process.env) {
+  const missing = missingTransportVars(name, env);
+  if (missing.length > 0) {
+    throw new Error(`EMAIL_TRANSPORT "${name}" needs: ${missing.join(', ')}`);
+  }
+  const from = senderAddress(env) || LOCAL_SENDER;
+
+  switch (name) {
+    case 'gmail':
+      return smtpTransport(name, from, {
+        service: 'gmail',
+        auth: {
+          user: env.GMAIL_FROM_EMAIL,
+          pass: env.GMAIL_APP_PASSWORD  // This is the 16-char app password, not your Gmail password
+        }
+      });
+    case 'gmail-oauth2':
+      // nodemailer exchanges the refresh token for access tokens as needed
+      return smtpTransport(name, from, {
+        service: 'gmail',
+        auth: {
+          type: 'OAuth2',
+          user: env.GMAIL_FROM_EMAIL,
+          clientId: env.GMAIL_CLIENT_ID,
+          clientSecret: env.GMAIL_CLIENT_SECRET,
+          refreshToken: env.GMAIL_REFRESH_TOKEN
+        }
+      });
+    case 'smtp': {
+      const port = parseInt(env.SMTP_PORT || '587', 10);
+      return smtpTransport(name, from, {
+        host: env.SMTP_HOST,
+        port,
+        // Port 465 is implicit TLS; others upgrade with STARTTLS
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+      });
+    }
+    case 'resend':
+      return resendTransport(from, env.RESEND_API_KEY);
+    case 'ses':
+      return sesTransport(from, {
+        region: env.AWS_REGION,
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: env.AWS_SESSION_TOKEN
+      });
+    case 'file':
+      return fileTransport(from, env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), DEFAULT_OUTBOX_DIR));
+  }
+}
+
+function smtpTransport(name, from, options) {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name,
+    from,
+    async send(message) {
+      const result = await transporter.sendMail(message);
+      return { id: result.messageId, response: result.response };
+    }
+  };
+}
+
+/**
+ * Format an address for APIs that take strings: "Name" <address> or address
+ * Accepts the strings and {name, address} objects nodemailer does.
+ *
+ * @param {string|{name?: string, address: string}} address
+ * @returns {string}
+ */
+export function formatAddress(address) {
+  if (typeof address === 'string') {
+    return address.trim();
+  }
+  if (!address.name) {
+    return address.address;
+  }
+  return `"${address.name.replace(/["\\]/g, '\\$&')}" <${address.address}>`;
+}
+
+/**
+ * Resend takes JSON rather than MIME; attachments are sent base64-encoded
+ */
+function resendTransport(from, apiKey) {
+  const list = value => [value].flat()
+    .flatMap(address => (typeof address === 'string' ? address.split(',') : [address]))
+    .map(formatAddress)
+    .filter(Boolean);
+
+  return {
+    name: 'resend',
+    from,
+    async send(message) {
+      const body = {
+        from: formatAddress(message.from),
+        to: list(message.to),
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: message.headers
+      };
+      if (message.cc) body.cc = list(message.cc);
+      if (message.bcc) body.bcc = list(message.bcc);
+      if (message.replyTo) body.reply_to = list(message.replyTo);
+      if (message.attachments?.length) {
+        body.attachments = message.attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: Buffer.from(attachment.content ?? fs.readFileSync(attachment.path)).toString('base64'),
+          content_type: attachment.contentType,
+          content_id: attachment.cid
+        }));
+      }
+
+      const response = await fetch(RESEND_API_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Resend API error ${response.status}: ${result.message || response.statusText}`);
+      }
+      return { id: result.id, response: `${response.status} ${result.id}` };
+    }
+  };
+}
+
+/**
+ * SES v2 SendEmail with raw MIME content
+ * Requests are signed with AWS Signature Version 4, so no AWS SDK is needed.
+ */
+function sesTransport(from, { region, accessKeyId, secretAccessKey, sessionToken }) {
+  const host = `email.${region}.amazonaws.com`;
+  const requestPath = '/v2/email/outbound-emails';
+  const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+  return {
+    name: 'ses',
+    from,
+    async send(message) {
+      const mail = new MailComposer(message).compile();
+      const raw = await mail.build();
+      // The envelope includes Bcc recipients, which are not in the raw headers
+      const body = JSON.stringify({
+        FromEmailAddress: message.from,
+        Destination: { ToAddresses: mail.getEnvelope().to },
+        Content: { Raw: { Data: raw.toString('base64') } }
+      });
+
+      const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+      const day = amzDate.substring(0, 8);
+      const headers = {
+        'content-type': 'application/json',
+        host,
+        'x-amz-date': amzDate
+      };
+      if (sessionToken) {
+        headers['x-amz-security-token'] = sessionToken;
+      }
+      const names = Object.keys(headers).sort();
+      const signedHeaders = names.join(';');
+      const canonicalRequest = [
+        'POST',
+        requestPath,
+        '',
+        names.map(header => `${header}:${headers[header]}\n`).join(''),
+        signedHeaders,
+        sha256(body)
+      ].join('\n');
+      const scope = `${day}/${region}/ses/aws4_request`;
+      const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+      const signingKey = ['ses', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+      const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+      const response = await fetch(`https://${host}${requestPath}`, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        body
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`SES API error ${response.status}: ${result.message || result.Message || response.statusText}`);
+      }
+      return { id: result.MessageId, response: `${response.status} ${result.MessageId}` };
+    }
+  };
+}
+
+/**
+ * Write each message to <dir>/<timestamp>-<subject>.eml instead of sending it
+ * The files open in any mail client, for checking a run without mailing anyone.
+ * Messages written in the same millisecond with the same subject (individual
+ * delivery) get a -2, -3, ... suffix rather than overwriting each other.
+ */
+function fileTransport(from, dir) {
+  return {
+    name: 'file',
+    from,
+    async send(message) {
+      const raw = await composeMessage(message);
+      const slug = String(message.subject || 'message')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .substring(0, 60);
+      const base = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}`);
+
+      fs.mkdirSync(dir, { recursive: true });
+      let filePath;
+      for (let n = 1; !filePath; n++) {
+        const candidate = n === 1 ? `${base}.eml` : `${base}-${n}.eml`;
+        try {
+          // wx fails instead of replacing an existing file
+          fs.writeFileSync(candidate, raw, { flag: 'wx' });
+          filePath = candidate;
+        } catch (error) {
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+        }
+      }
+      return { id: path.basename(filePath), response: `written to ${filePath}` };
+    }
+  };
+}
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local cache of Notion pages
+ *
+ * Keeps the raw page (properties, url, last_edited_time) and fetched body
+ * content of every page seen in the last successful run, keyed by database
+ * and page id. On the next run the fetcher only queries pages edited since
+ * the last sync; every few runs an id-only sweep of every matching page
+ * notices pages removed without an edit.
+ *
+ * Cache format:
+ * {
+ *   "version": 1,
+ *   "databases": {
+ *     "<databaseId>": {
+ *       "syncedAt": "<ISO timestamp>",
+ *       "queryKey": "<query body the pages were fetched with>",
+ *       "runsSinceSweep": 0,
+ *       "pages": {
+ *         "<pageId>": { "lastEditedTime": "...", "page": { ... }, "content": "..." }
+ *       }
+ *     }
+ *   }
+ * }
+ */
+
+export const DEFAULT_CACHE_PATH = path.join(process.cwd(), 'data', 'notion-cache.json');
+
+const CACHE_VERSION = 1;
+
+/**
+ * Load the cache, starting empty if it is missing, unreadable or outdated
+ *
+ * @param {string} [cachePath] - Cache file
+ * @returns {{version: number, databases: object}}
+ */
+export function loadCache(cachePath = DEFAULT_CACHE_PATH) {
+  const empty = { version: CACHE_VERSION, databases: {} };
+  if (!fs.existsSync(cachePath)) {
+    return empty;
+  }
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    if (cache.version !== CACHE_VERSION || typeof cache.databases !== 'object') {
+      console.warn(`Warning: Ignoring cache ${cachePath} (unsupported version ${cache.version})`);
+      return empty;
+    }
+    return cache;
+  } catch (error) {
+    console.warn(`Warning: Ignoring unreadable cache ${cachePath}: ${error.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Write the cache
+ *
+ * @param {object} cache - Cache contents
+ * @param {string} [cachePath] - Cache file
+ */
+export function saveCache(cache, cachePath = DEFAULT_CACHE_PATH) {
+  const dir = path.dirname(cachePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(cachePath, JSON.stringify(cache));
+}
+
+/**
+ * Build the cache entry for a page
+ * Only the parts of the page the fetcher reads are kept.
+ *
+ * @param {object} page - Notion page object
+ * @param {string} [content] - Page body markdown, when fetched
+ * @returns {object}
+ */
+export function cachePage(page, content) {
+  return {
+    lastEditedTime: page.last_edited_time,
+    page: {
+      id: page.id,
+      url: page.url,
+      last_edited_time: page.last_edited_time,
+      properties: page.properties
+    },
+    content
+  };
+}
+
+/**
+ * Work out which pages need downloading
+ * Pages come from two queries: the member list names every page that still
+ * matches (from the id sweep, or between sweeps the cached pages minus those
+ * edited out of the query), and the edited query returns full pages edited
+ * since the last sync. Change detection relies on the edited query rather than comparing
+ * last_edited_time, which Notion rounds to the minute, so two edits in the
+ * same minute would look unchanged.
+ *
+ * @param {object} cachedPages - `pages` of a cached database
+ * @param {Array<{id: string}>} members - Pages that match the query
+ * @param {Set<string>} editedIds - Pages returned by the edited query
+ * @returns {{edited: Array<object>, missing: Array<object>, unchanged: Array<object>, removed: Array<string>}}
+ *   edited/missing/unchanged are entries of `members`; missing pages are
+ *   neither cached nor edited (e.g. pages that only now match the filter);
+ *   removed are cached page ids no longer returned (archived, deleted, or
+ *   filtered out)
+ */
+export function planSync(cachedPages, members, editedIds) {
+  const edited = [];
+  const missing = [];
+  const unchanged = [];
+  members.forEach(member => {
+    if (editedIds.has(member.id)) {
+      edited.push(member);
+    } else if (cachedPages[member.id]) {
+      unchanged.push(member);
+    } else {
+      missing.push(member);
+    }
+  });
+
+  const current = new Set(members.map(member => member.id));
+  const removed = Object.keys(cachedPages).filter(id => !current.has(id));
+
+  return { edited, missing, unchanged, removed };
+}
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Notion API client
+ *
+ * Shared HTTP client for the Notion scripts. Wraps fetch with:
+ * - a per-token rate limit (Notion allows ~3 requests/second per integration)
+ * - retries for 429 and 5xx responses and network errors, honoring Retry-After
+ *   and otherwise backing off exponentially with full jitter
+ * - a per-request timeout
+ * - record/replay of responses as fixture files, so the pipeline can run
+ *   without credentials (tests, laptops)
+ *
+ * Every retry is logged and recorded in `client.retryLog`.
+ */
+
+const NOTION_VERSION = '2022-06-28';
+const DEFAULT_BASE_URL = 'https://api.notion.com/v1';
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Rate limiters are shared by token, so concurrent clients for the same
+// integration stay within one budget
+const limiters = new Map();
+
+/**
+ * Create a Notion API client
+ *
+ * @param {object} options
+ * @param {string} options.token - Notion integration token
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {number} [options.maxRetries=5] - Retries per request before giving up
+ * @param {number} [options.timeoutMs=30000] - Per-request timeout
+ * @param {number} [options.requestsPerSecond=3] - Request budget for this token
+ * @param {number} [options.baseDelayMs=1000] - First backoff delay
+ * @param {number} [options.maxDelayMs=30000] - Backoff ceiling
+ * @param {string} [options.recordDir] - Write every response to a fixture file in this directory
+ * @param {string} [options.replayDir] - Serve responses from fixture files instead of the network
+ * @returns {object} - Client with request(), getDatabase(), getPage(), queryDatabase(),
+ *   getBlockChildren(), listComments() and retryLog
+ */
+export function createNotionClient({
+  token,
+  baseUrl = DEFAULT_BASE_URL,
+  maxRetries = 5,
+  timeoutMs = 30000,
+  requestsPerSecond = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  recordDir,
+  replayDir
+}) {
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Notion-Version': NOTION_VERSION,
+    'Content-Type': 'application/json'
+  };
+
+  if (!limiters.has(token)) {
+    limiters.set(token, createRateLimiter(requestsPerSecond));
+  }
+  const waitForSlot = limiters.get(token);
+  const retryLog = [];
+
+  /**
+   * Send a request and return the parsed JSON response
+   * Throws once retries are exhausted or on a non-retryable error status;
+   * the error's `status` is the last HTTP status (unset after network
+   * errors and timeouts).
+   *
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path relative to the base URL (e.g. /databases/abc)
+   * @param {object} [body] - JSON body
+   * @returns {Promise<object>}
+   */
+  async function request(method, endpoint, body) {
+    if (replayDir) {
+      return replay(replayDir, method, endpoint, body);
+    }
+
+    const url = `${baseUrl}${endpoint}`;
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForSlot();
+
+      let res;
+      let failure;
+      try {
+        res = await fetch(url, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+      } catch (error) {
+        failure = error.name === 'TimeoutError' ? `timeout after ${timeoutMs}ms` : error.message;
+      }
+
+      if (res?.ok) {
+        const data = await res.json();
+        if (recordDir) {
+          record(recordDir, method, endpoint, body, res.status, data);
+        }
+        return data;
+      }
+
+      if (res && !RETRYABLE_STATUSES.includes(res.status)) {
+        const errorText = await res.text();
+        if (recordDir) {
+          record(recordDir, method, endpoint, body, res.status, errorText);
+        }
+        const error = new Error(`${method} ${endpoint} failed: ${res.status} ${errorText}`);
+        error.status = res.status;
+        throw error;
+      }
+
+      const reason = failure || `HTTP ${res.status}`;
+      // Read the body even when retrying, so the connection can be reused
+      const errorText = res ? await res.text().catch(() => '') : '';
+      if (attempt >= maxRetries) {
+        const error = new Error(`${method} ${endpoint} failed after ${attempt + 1} attempts: ${reason}${errorText ? ` ${errorText}` : ''}`);
+        error.status = res?.status;
+        throw error;
+      }
+
+      const delayMs = retryDelay(res, attempt, baseDelayMs, maxDelayMs);
+      retryLog.push({ method, endpoint, attempt: attempt + 1, reason, delayMs, at: new Date().toISOString() });
+      console.warn(`  Retrying ${method} ${endpoint} after ${reason} (attempt ${attempt + 1}/${maxRetries}, waiting ${(delayMs / 1000).toFixed(1)}s)`);
+      await sleep(delayMs);
+    }
+  }
+
+  return {
+    request,
+    retryLog,
+    getDatabase: databaseId => request('GET', `/databases/${databaseId}`),
+    getPage: pageId => request('GET', `/pages/${pageId}`),
+    // filterProperties limits the properties returned per page (by property id)
+    queryDatabase: (databaseId, body, filterProperties) =>
+      request('POST', `/databases/${databaseId}/query${filterPropertiesParams(filterProperties)}`, body),
+    getBlockChildren: (blockId, cursor) =>
+      request('GET', `/blocks/${blockId}/children?page_size=100${cursor ? `&start_cursor=${cursor}` : ''}`),
+    listComments: (blockId, cursor) =>
+      request('GET', `/comments?block_id=${blockId}&page_size=100${cursor ? `&start_cursor=${cursor}` : ''}`)
+  };
+}
+
+function filterPropertiesParams(propertyIds) {
+  if (!propertyIds || propertyIds.length === 0) {
+    return '';
+  }
+  return `?${propertyIds.map(id => `filter_properties=${encodeURIComponent(id)}`).join('&')}`;
+}
+
+/**
+ * Name the fixture file for a request
+ * A readable slug of the endpoint plus a hash of the full request, so
+ * paginated queries (same endpoint, different cursor) get distinct files.
+ */
+export function fixtureName(method, endpoint, body) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method, endpoint, body: body ?? null }))
+    .digest('hex')
+    .substring(0, 12);
+  const slug = `${method}${endpoint}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 60);
+  return `${slug}-${hash}.json`;
+}
+
+function record(dir, method, endpoint, body, status, response) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const fixture = { request: { method, endpoint, body: body ?? null }, status, response };
+  fs.writeFileSync(path.join(dir, fixtureName(method, endpoint, body)), JSON.stringify(fixture, null, 2));
+}
+
+function replay(dir, method, endpoint, body) {
+  const fixturePath = path.join(dir, fixtureName(method, endpoint, body));
+  if (!fs.existsSync(fixturePath)) {
+    throw new Error(`${method} ${endpoint} has no recorded fixture (expected ${fixturePath}); re-record with NOTION_RECORD_DIR`);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  if (fixture.status >= 400) {
+    const error = new Error(`${method} ${endpoint} failed: ${fixture.status} ${fixture.response}`);
+    error.status = fixture.status;
+    throw error;
+  }
+  return fixture.response;
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * Retry-After (seconds) wins when present; otherwise exponential backoff
+ * with full jitter.
+ */
+function retryDelay(res, attempt, baseDelayMs, maxDelayMs) {
+  const retryAfter = Number(res?.headers.get('retry-after'));
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, maxDelayMs);
+  }
+  const ceiling = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Create a limiter that spaces request starts evenly
+ *
+ * @param {number} requestsPerSecond
+ * @returns {function(): Promise<void>} - Resolves when the caller may send
+ */
+function createRateLimiter(requestsPerSecond) {
+  const interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return async function waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,160 @@
+import { plainText } from './notion-properties.mjs';
+import { sanitizeText } from './html.mjs';
+
+/**
+ * Notion page content and comments
+ *
+ * Fetches the top-level blocks and comments of a page and turns them into
+ * a short markdown summary for the status report. Only text-like blocks are
+ * kept; images, embeds, databases and the like are skipped. Text goes
+ * through sanitizeText() (utils/html.mjs) on the way in.
+ */
+
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_COMMENT_LENGTH = 1000;
+
+// Markdown prefix for each supported block type
+const BLOCK_PREFIXES = {
+  paragraph: '',
+  heading_1: '# ',
+  heading_2: '## ',
+  heading_3: '### ',
+  bulleted_list_item: '- ',
+  numbered_list_item: '1. ',
+  quote: '> ',
+  callout: '> ',
+  toggle: '- '
+};
+
+// Sanitized rich text with runs of spaces collapsed
+function cleanText(richText) {
+  return sanitizeText(plainText(richText)).replace(/[ \t]+/g, ' ').trim();
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength).trimEnd()}...` : text;
+}
+
+/**
+ * Convert Notion blocks to markdown
+ *
+ * @param {Array<object>} blocks - Block objects from /blocks/{id}/children
+ * @returns {string} - Markdown, one line per block
+ */
+export function blocksToMarkdown(blocks) {
+  const lines = [];
+
+  blocks.forEach(block => {
+    const data = block[block.type];
+    if (block.type === 'to_do') {
+      lines.push(`- [${data.checked ? 'x' : ' '}] ${cleanText(data.rich_text)}`);
+    } else if (block.type === 'code') {
+      lines.push('```', cleanText(data.rich_text), '```');
+    } else if (block.type === 'divider') {
+      lines.push('---');
+    } else if (block.type in BLOCK_PREFIXES) {
+      const text = cleanText(data.rich_text);
+      if (text) {
+        lines.push(`${BLOCK_PREFIXES[block.type]}${text}`);
+      }
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert a note (page body markdown or comment text) to plain text
+ * The report shows notes as text, so heading, quote and emphasis markers,
+ * code fences and dividers are removed, links become "text (url)" and
+ * to-dos become checkboxes. Comments often contain markdown typed by hand,
+ * which Notion keeps as literal characters.
+ *
+ * @param {string} markdown - Note text
+ * @returns {string}
+ */
+export function noteToPlainText(markdown) {
+  return sanitizeText(String(markdown)
+    .split('\n')
+    .filter(line => !/^\s*(```.*|---+|\*\*\*+)\s*$/.test(line))
+    .map(line => line
+      .replace(/^\s*#{1,6}\s+/, '')
+      .replace(/^\s*>\s?/, '')
+      .replace(/^(\s*)[-*] \[ \]\s*/, '$1☐ ')
+      .replace(/^(\s*)[-*] \[x\]\s*/i, '$1☑ ')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, text, url) => (text === url ? url : `${text} (${url})`))
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+      .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?!\w)/g, '$1$2')
+      .replace(/(^|[^\w])_(?=\S)([^_]+?)(?<=\S)_(?!\w)/g, '$1$2')
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1')
+      .replace(/`([^`]+)`/g, '$1'))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')).trim();
+}
+
+/**
+ * Fetch a page's body as markdown
+ *
+ * @param {object} notion - Notion client
+ * @param {string} pageId - Page ID
+ * @returns {Promise<string>} - Markdown summary (truncated)
+ */
+export async function fetchPageContent(notion, pageId) {
+  const blocks = [];
+  let cursor;
+
+  do {
+    const page = await notion.getBlockChildren(pageId, cursor);
+    blocks.push(...page.results);
+    cursor = page.has_more ? page.next_cursor : null;
+  } while (cursor);
+
+  return truncate(blocksToMarkdown(blocks), MAX_CONTENT_LENGTH);
+}
+
+/**
+ * Fetch a page's most recent comments
+ *
+ * @param {object} notion - Notion client
+ * @param {string} pageId - Page ID
+ * @param {number} [limit=5] - Number of comments to keep
+ * @returns {Promise<Array<{createdTime: string, text: string}>>} - Newest first
+ */
+export async function fetchComments(notion, pageId, limit = 5) {
+  const comments = [];
+  let cursor;
+
+  do {
+    const page = await notion.listComments(pageId, cursor);
+    comments.push(...page.results);
+    cursor = page.has_more ? page.next_cursor : null;
+  } while (cursor);
+
+  return comments
+    .map(comment => ({
+      createdTime: comment.created_time,
+      text: truncate(cleanText(comment.rich_text), MAX_COMMENT_LENGTH)
+    }))
+    .filter(comment => comment.text)
+    .sort((a, b) => b.createdTime.localeCompare(a.createdTime))
+    .slice(0, limit);
+}
+
+/**
+ * Pick the note the report should show
+ * The newest comment wins; otherwise the page body.
+ *
+ * @param {string} content - Page body markdown
+ * @param {Array<object>} comments - Comments, newest first
+ * @returns {{source: string, text: string, createdTime?: string}|null}
+ */
+export function latestNote(content, comments) {
+  if (comments.length > 0) {
+    return { source: 'comment', text: comments[0].text, createdTime: comments[0].createdTime };
+  }
+  if (content) {
+    return { source: 'body', text: content };
+  }
+  return null;
+}
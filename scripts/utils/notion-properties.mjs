@@ -0,0 +1,155 @@
+import fs from 'fs';
+
+/**
+ * Notion property extractors
+ *
+ * Turns Notion page properties into plain values using a mapping config
+ * (see config/notion-mapping.json). Each mapping entry names the Notion
+ * property, its type and the output field it should populate, so the same
+ * fetcher works against boards with different column names.
+ */
+
+/**
+ * Join rich text fragments into a single plain string
+ *
+ * @param {Array<object>} fragments - Notion rich_text array
+ * @returns {string} - Concatenated plain text
+ */
+export function plainText(fragments) {
+  return (fragments || []).map(t => t.plain_text).join('');
+}
+
+/**
+ * Extractors keyed by Notion property type
+ * Each receives the raw property object and returns a plain value,
+ * or null when the property is empty.
+ */
+const EXTRACTORS = {
+  title: prop => plainText(prop.title) || null,
+  rich_text: prop => plainText(prop.rich_text) || null,
+  select: prop => prop.select?.name ?? null,
+  multi_select: prop => (prop.multi_select || []).map(option => option.name),
+  status: prop => prop.status?.name ?? null,
+  people: prop => (prop.people || []).map(person => person.name || person.person?.email || person.id),
+  date: prop => prop.date?.start ?? null,
+  number: prop => prop.number ?? null,
+  checkbox: prop => Boolean(prop.checkbox),
+  relation: prop => (prop.relation || []).map(related => related.id),
+  formula: prop => extractFormula(prop.formula),
+  rollup: prop => extractRollup(prop.rollup)
+};
+
+export const SUPPORTED_TYPES = Object.keys(EXTRACTORS);
+
+function extractFormula(formula) {
+  if (!formula) return null;
+  switch (formula.type) {
+    case 'string': return formula.string ?? null;
+    case 'number': return formula.number ?? null;
+    case 'boolean': return formula.boolean ?? null;
+    case 'date': return formula.date?.start ?? null;
+    default: return null;
+  }
+}
+
+function extractRollup(rollup) {
+  if (!rollup) return null;
+  switch (rollup.type) {
+    case 'number': return rollup.number ?? null;
+    case 'date': return rollup.date?.start ?? null;
+    case 'array':
+      // Rollup arrays contain full property values; extract each by its own type
+      return (rollup.array || [])
+        .map(entry => EXTRACTORS[entry.type]?.(entry) ?? null)
+        .flat()
+        .filter(value => value !== null);
+    default: return null;
+  }
+}
+
+/**
+ * Extract a single property value
+ *
+ * @param {object|undefined} prop - Raw Notion property (may be missing)
+ * @param {string} type - Expected Notion property type
+ * @param {string} propertyName - Property name (for error messages)
+ * @returns {*} - Extracted value, or null if the property is missing or empty
+ */
+export function extractProperty(prop, type, propertyName) {
+  if (!prop) return null;
+
+  if (prop.type && prop.type !== type) {
+    throw new Error(`Property "${propertyName}" is of type "${prop.type}", but the mapping expects "${type}"`);
+  }
+
+  const value = EXTRACTORS[type](prop);
+  return Array.isArray(value) && value.length === 0 ? null : value;
+}
+
+/**
+ * Load and validate a property mapping file
+ *
+ * Mapping format:
+ * {
+ *   "fields": {
+ *     "<outputField>": {
+ *       "property": "<Notion property name>",
+ *       "type": "<Notion property type>",
+ *       "default": <value when empty>,  // optional
+ *       "join": ", ",                    // optional, flattens list values to a string
+ *       "required": true                 // optional, fail if the property is missing
+ *     }
+ *   }
+ * }
+ *
+ * @param {string} mappingPath - Path to the mapping JSON file
+ * @returns {object} - Parsed mapping
+ */
+export function loadPropertyMapping(mappingPath) {
+  if (!fs.existsSync(mappingPath)) {
+    throw new Error(`Property mapping file not found: ${mappingPath}`);
+  }
+
+  const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf-8'));
+  if (!mapping.fields || typeof mapping.fields !== 'object') {
+    throw new Error(`Property mapping ${mappingPath} must contain a "fields" object`);
+  }
+
+  const errors = [];
+  Object.entries(mapping.fields).forEach(([field, spec]) => {
+    if (!spec.property) {
+      errors.push(`fields.${field}: missing "property"`);
+    }
+    if (!SUPPORTED_TYPES.includes(spec.type)) {
+      errors.push(`fields.${field}: unsupported type "${spec.type}" (expected one of ${SUPPORTED_TYPES.join(', ')})`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid property mapping ${mappingPath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return mapping;
+}
+
+/**
+ * Map a Notion page to an output item
+ *
+ * @param {object} page - Notion page object from a database query
+ * @param {object} mapping - Mapping loaded with loadPropertyMapping()
+ * @returns {object} - Item with id, url and one key per mapped field
+ */
+export function mapPage(page, mapping) {
+  const item = { id: page.id };
+
+  Object.entries(mapping.fields).forEach(([field, spec]) => {
+    let value = extractProperty(page.properties?.[spec.property], spec.type, spec.property);
+    if (Array.isArray(value) && spec.join !== undefined) {
+      value = value.join(spec.join);
+    }
+    item[field] = value ?? spec.default ?? null;
+  });
+
+  item.url = page.url;
+  return item;
+}
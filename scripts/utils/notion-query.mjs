@@ -0,0 +1,305 @@
+import fs from 'fs';
+
+/**
+ * Notion query builder
+ *
+ * Translates a declarative filter/sort spec (see config/notion-query.json)
+ * into the `filter` and `sorts` body of a Notion database query, so only
+ * relevant rows are fetched and they come back in a stable order.
+ *
+ * Conditions reference either a mapped output field ("field": "client"),
+ * a raw Notion property ("property": "Client") or a page timestamp
+ * ("timestamp": "last_edited_time"). Property types come from the
+ * database schema, so the spec never has to spell them out.
+ *
+ * Values may be taken from config/report.json with { "fromReport": "clients" }
+ * (every client name and alias) or { "fromReport": "excludedStatuses" }
+ * (statuses of buckets excluded from the report).
+ *
+ * Notion compares select, multi-select and status values exactly, while the
+ * report matches clients and statuses ignoring case. So "in" and "notIn"
+ * list every option in the database schema that matches a value ignoring
+ * case ("wl" also matches an option spelled "WL"); "equals" compares exactly.
+ */
+
+// Notion filter keys for each property type that supports filtering
+const FILTER_KEYS = {
+  title: 'title',
+  rich_text: 'rich_text',
+  select: 'select',
+  multi_select: 'multi_select',
+  status: 'status',
+  people: 'people',
+  date: 'date',
+  number: 'number',
+  checkbox: 'checkbox',
+  relation: 'relation'
+};
+
+// Types whose values are lists, which Notion filters with contains/does_not_contain
+const LIST_TYPES = ['multi_select', 'people', 'relation'];
+
+const TIMESTAMPS = ['created_time', 'last_edited_time'];
+
+const DATE_OPERATORS = {
+  before: 'before',
+  after: 'after',
+  onOrBefore: 'on_or_before',
+  onOrAfter: 'on_or_after',
+  equals: 'equals'
+};
+
+const PROPERTY_OPERATORS = [
+  'equals', 'notEquals', 'in', 'notIn', 'contains', 'notContains', 'isEmpty', 'isNotEmpty',
+  'greaterThan', 'lessThan', 'before', 'after', 'onOrBefore', 'onOrAfter'
+];
+
+/**
+ * Load a query spec file
+ *
+ * @param {string} specPath - Path to the query spec JSON file
+ * @returns {object|null} - Parsed spec, or null if the file does not exist
+ */
+export function loadQuerySpec(specPath) {
+  if (!fs.existsSync(specPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(specPath, 'utf-8'));
+}
+
+/**
+ * Build the Notion query body for a spec
+ *
+ * @param {object|null} spec - Query spec ({ filter, sorts })
+ * @param {object} context
+ * @param {object} context.mapping - Property mapping (resolves "field" references)
+ * @param {object} context.dbProperties - `properties` from the database metadata
+ * @param {Date} [context.now] - Reference time for relative dates
+ * @param {object} [context.reportValues] - Values for "fromReport" references (see reportQueryValues())
+ * @returns {{filter?: object, sorts?: Array<object>}} - Query body fragment
+ */
+export function buildQuery(spec, { mapping, dbProperties, now = new Date(), reportValues }) {
+  const body = {};
+  if (!spec) return body;
+
+  const ctx = { mapping, dbProperties, now, reportValues };
+
+  if (spec.filter) {
+    body.filter = buildFilter(spec.filter, ctx, 'filter');
+  }
+
+  if (spec.sorts) {
+    body.sorts = spec.sorts.map((sort, i) => buildSort(sort, ctx, `sorts[${i}]`));
+  }
+
+  return body;
+}
+
+/**
+ * Narrow a query to pages edited on or after a time
+ * Notion allows two levels of compound filters, so the condition is added to
+ * a top-level "and" rather than wrapping it.
+ *
+ * @param {{filter?: object, sorts?: Array<object>}} query - Query body fragment from buildQuery()
+ * @param {string} since - ISO timestamp
+ * @returns {{filter: object, sorts?: Array<object>}|null} - null when the
+ *   filter is already nested too deeply to narrow
+ */
+export function editedSinceQuery(query, since) {
+  const condition = { timestamp: 'last_edited_time', last_edited_time: { on_or_after: since } };
+  const { filter } = query;
+  if (!filter) {
+    return { ...query, filter: condition };
+  }
+  if (filter.and) {
+    return { ...query, filter: { and: [...filter.and, condition] } };
+  }
+  // Wrapping adds a level: only possible when the filter has no nested compounds
+  if (filter.or && filter.or.some(child => child.and || child.or)) {
+    return null;
+  }
+  return { ...query, filter: { and: [filter, condition] } };
+}
+
+function buildFilter(node, ctx, where) {
+  if (node.and || node.or) {
+    const combinator = node.and ? 'and' : 'or';
+    // Notion limits compound filters to two levels of nesting, so splice
+    // same-kind children (e.g. the "and" produced by notIn) into their parent
+    const children = node[combinator].flatMap((child, i) => {
+      const built = buildFilter(child, ctx, `${where}.${combinator}[${i}]`);
+      return built[combinator] || [built];
+    });
+    return { [combinator]: children };
+  }
+
+  if (node.timestamp) {
+    return buildTimestampCondition(node, ctx, where);
+  }
+
+  return buildPropertyCondition(node, ctx, where);
+}
+
+function buildTimestampCondition(node, ctx, where) {
+  if (!TIMESTAMPS.includes(node.timestamp)) {
+    throw new Error(`${where}: unknown timestamp "${node.timestamp}" (expected ${TIMESTAMPS.join(' or ')})`);
+  }
+
+  const [operator, value] = singleOperator(node, Object.keys(DATE_OPERATORS), where);
+  return {
+    timestamp: node.timestamp,
+    [node.timestamp]: { [DATE_OPERATORS[operator]]: resolveDate(value, ctx.now, where) }
+  };
+}
+
+function buildPropertyCondition(node, ctx, where) {
+  const { property, type, options } = resolveProperty(node, ctx, where);
+  const key = FILTER_KEYS[type];
+  if (!key) {
+    throw new Error(`${where}: property "${property}" has type "${type}", which cannot be filtered`);
+  }
+
+  const isList = LIST_TYPES.includes(type);
+  const condition = (op, value) => ({ property, [key]: { [op]: value } });
+
+  const [operator, reference] = singleOperator(node, PROPERTY_OPERATORS, where);
+  const value = resolveValue(reference, ctx, where);
+
+  switch (operator) {
+    case 'in':
+      return { or: matchOptions(asList(value, where), options).map(v => condition(isList ? 'contains' : 'equals', v)) };
+    case 'notIn':
+      return { and: matchOptions(asList(value, where), options).map(v => condition(isList ? 'does_not_contain' : 'does_not_equal', v)) };
+    case 'equals':
+      return condition(isList ? 'contains' : 'equals', value);
+    case 'notEquals':
+      return condition(isList ? 'does_not_contain' : 'does_not_equal', value);
+    case 'contains':
+      return condition('contains', value);
+    case 'notContains':
+      return condition('does_not_contain', value);
+    case 'isEmpty':
+      return condition('is_empty', true);
+    case 'isNotEmpty':
+      return condition('is_not_empty', true);
+    case 'greaterThan':
+      return condition('greater_than', value);
+    case 'lessThan':
+      return condition('less_than', value);
+    default:
+      if (type !== 'date') {
+        throw new Error(`${where}: "${operator}" only applies to date properties, but "${property}" is "${type}"`);
+      }
+      return condition(DATE_OPERATORS[operator], resolveDate(value, ctx.now, where));
+  }
+}
+
+function buildSort(sort, ctx, where) {
+  const direction = normalizeDirection(sort.direction, where);
+
+  if (sort.timestamp) {
+    if (!TIMESTAMPS.includes(sort.timestamp)) {
+      throw new Error(`${where}: unknown timestamp "${sort.timestamp}"`);
+    }
+    return { timestamp: sort.timestamp, direction };
+  }
+
+  const { property } = resolveProperty(sort, ctx, where);
+  return { property, direction };
+}
+
+/**
+ * Resolve a "field" or "property" reference to a Notion property name and type
+ * For select, multi-select and status properties, also the option names the
+ * schema lists (null for other types, or when the schema has none).
+ */
+function resolveProperty(node, { mapping, dbProperties }, where) {
+  let property = node.property;
+  if (node.field) {
+    const spec = mapping.fields[node.field];
+    if (!spec) {
+      throw new Error(`${where}: field "${node.field}" is not defined in the property mapping`);
+    }
+    property = spec.property;
+  }
+
+  if (!property) {
+    throw new Error(`${where}: condition needs a "field", "property" or "timestamp"`);
+  }
+
+  const dbProp = dbProperties[property];
+  if (!dbProp) {
+    throw new Error(`${where}: property "${property}" does not exist in the database`);
+  }
+
+  const options = dbProp[dbProp.type]?.options?.map(option => option.name) || null;
+  return { property, type: dbProp.type, options };
+}
+
+/**
+ * Spell values the way the database's options do
+ * Each value becomes every option equal to it ignoring case (a board may
+ * have both "WL" and "wl"); values without such an option are kept as given.
+ */
+function matchOptions(values, options) {
+  if (!options) return values;
+  const normalize = value => String(value).trim().toLowerCase();
+  return [...new Set(values.flatMap(value => {
+    const matches = options.filter(option => normalize(option) === normalize(value));
+    return matches.length > 0 ? matches : [value];
+  }))];
+}
+
+function singleOperator(node, allowed, where) {
+  const operators = Object.keys(node).filter(key => allowed.includes(key));
+  if (operators.length !== 1) {
+    throw new Error(`${where}: expected exactly one operator (${allowed.join(', ')})`);
+  }
+  return [operators[0], node[operators[0]]];
+}
+
+/**
+ * Resolve a { "fromReport": "<name>" } reference to its report config value
+ */
+function resolveValue(value, { reportValues }, where) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || !('fromReport' in value)) {
+    return value;
+  }
+  if (!reportValues) {
+    throw new Error(`${where}: "fromReport" needs the report config (config/report.json)`);
+  }
+  if (!(value.fromReport in reportValues)) {
+    throw new Error(`${where}: unknown "fromReport" value "${value.fromReport}" (expected ${Object.keys(reportValues).join(' or ')})`);
+  }
+  return reportValues[value.fromReport];
+}
+
+function asList(value, where) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`${where}: "in"/"notIn" expects a non-empty array`);
+  }
+  return value;
+}
+
+function normalizeDirection(direction = 'ascending', where) {
+  if (['asc', 'ascending'].includes(direction)) return 'ascending';
+  if (['desc', 'descending'].includes(direction)) return 'descending';
+  throw new Error(`${where}: direction must be "ascending" or "descending"`);
+}
+
+/**
+ * Resolve a date value
+ * Accepts ISO dates or relative offsets such as "-7d" or "-12h" from now.
+ */
+function resolveDate(value, now, where) {
+  const relative = /^-(\d+)([dh])$/.exec(String(value));
+  if (relative) {
+    const hours = Number(relative[1]) * (relative[2] === 'd' ? 24 : 1);
+    return new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+  }
+
+  if (Number.isNaN(Date.parse(value))) {
+    throw new Error(`${where}: invalid date "${value}"`);
+  }
+  return value;
+}
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * notion-raw.json schema validation
+ *
+ * Validates the file passed between fetch-notion-data.mjs and
+ * generate-report.mjs against schemas/notion-raw.schema.json. Supports the
+ * subset of JSON Schema that file uses: type, const, enum, required,
+ * properties, items, minimum, minLength and format "date-time".
+ *
+ * Errors name the offending item by id, so a renamed or retyped Notion
+ * property is easy to trace back to the board.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'schemas', 'notion-raw.schema.json');
+
+export const SCHEMA_VERSION = 1;
+
+let schema;
+function loadSchema() {
+  if (!schema) {
+    schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validate(value, node, pathSegments, errors) {
+  const fail = message => errors.push({ path: pathSegments, message });
+
+  if (node.const !== undefined && value !== node.const) {
+    fail(`expected ${JSON.stringify(node.const)}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    fail(`expected one of ${node.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      fail('must not be empty');
+    }
+    if (node.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      fail(`expected an ISO date-time, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+    fail(`must be >= ${node.minimum}, got ${value}`);
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((entry, i) => validate(entry, node.items, [...pathSegments, i], errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    (node.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: [...pathSegments, key], message: 'is missing' });
+      }
+    });
+    Object.entries(node.properties || {}).forEach(([key, child]) => {
+      if (key in value) {
+        validate(value[key], child, [...pathSegments, key], errors);
+      }
+    });
+  }
+}
+
+/**
+ * Describe an error location, naming the item id for per-item errors
+ * e.g. `item "23c0b674-..." (items[3]) field "priority"`
+ */
+function describePath(pathSegments, data) {
+  if (pathSegments.length === 0) {
+    return 'file';
+  }
+
+  if (pathSegments[0] === 'items' && typeof pathSegments[1] === 'number') {
+    const id = data.items[pathSegments[1]]?.id;
+    const where = id ? `item "${id}" (items[${pathSegments[1]}])` : `items[${pathSegments[1]}]`;
+    const field = formatPath(pathSegments.slice(2));
+    return field ? `${where} field "${field}"` : where;
+  }
+
+  return `field "${formatPath(pathSegments)}"`;
+}
+
+function formatPath(pathSegments) {
+  return pathSegments
+    .map((segment, i) => (typeof segment === 'number' ? `[${segment}]` : `${i > 0 ? '.' : ''}${segment}`))
+    .join('');
+}
+
+/**
+ * Validate notion-raw.json contents
+ *
+ * @param {object} data - Parsed notion-raw.json
+ * @returns {Array<string>} - Human-readable errors (empty when valid)
+ */
+export function validateNotionRaw(data) {
+  if (typeOf(data) !== 'object') {
+    return [`file: expected an object, got ${typeOf(data)}`];
+  }
+
+  if (data.schemaVersion !== undefined && data.schemaVersion !== SCHEMA_VERSION) {
+    return [`file: schemaVersion ${JSON.stringify(data.schemaVersion)} is not supported (expected ${SCHEMA_VERSION}); re-run fetch-notion-data.mjs`];
+  }
+
+  const errors = [];
+  validate(data, loadSchema(), [], errors);
+
+  const messages = errors.map(error => `${describePath(error.path, data)}: ${error.message}`);
+  if (Array.isArray(data.items) && Number.isInteger(data.itemCount) && data.itemCount !== data.items.length) {
+    messages.push(`field "itemCount": is ${data.itemCount}, but items has ${data.items.length} entries`);
+  }
+  return messages;
+}
+
+/**
+ * Validate and throw a single error listing every problem
+ *
+ * @param {object} data - Parsed notion-raw.json
+ * @param {string} source - Where the data came from (for the message)
+ */
+export function assertValidNotionRaw(data, source) {
+  const errors = validateNotionRaw(data);
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 20);
+    const more = errors.length > shown.length ? `\n  ...and ${errors.length - shown.length} more` : '';
+    throw new Error(`${source} does not match schemas/notion-raw.schema.json (v${SCHEMA_VERSION}):\n  ${shown.join('\n  ')}${more}`);
+  }
+}
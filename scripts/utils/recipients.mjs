@@ -0,0 +1,278 @@
+import fs from 'fs';
+
+/**
+ * Email recipients
+ *
+ * Loads config/recipients.json, which names groups of recipients, how each
+ * group is delivered to, and which report variants each group receives, and
+ * the suppression list (addresses that must never be mailed). Every address
+ * is validated and de-duplicated before sending.
+ *
+ * Delivery modes:
+ * - bcc: one message, recipients on Bcc, so nobody sees anyone else's address (default)
+ * - individual: one message per recipient, with an optional personalized greeting
+ * - to: one message with everyone on To (only for groups that already know each other)
+ */
+
+export const DELIVERY_MODES = ['bcc', 'individual', 'to'];
+export const DEFAULT_DELIVERY = 'bcc';
+
+// Deliberately loose: catches typos and pasted junk, not every RFC 5322 corner
+const EMAIL_PATTERN = /^[^\s@<>(),;:"[\]\\]+@[^\s@<>(),;:"[\]\\]+\.[^\s@<>(),;:"[\]\\]{2,}$/;
+const NAMED_ADDRESS = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/;
+const MERGE_FIELD = /\{\{\s*([\w]+)\s*\}\}/g;
+const MERGE_FIELDS = ['name', 'firstName', 'email'];
+const GROUP_NAME = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Parse one recipient entry
+ * Accepts "pat@example.com", "Pat Lee <pat@example.com>" or {email, name}.
+ *
+ * @param {string|object} entry
+ * @returns {{email: string, name?: string}|null} - null when the address is not valid
+ */
+export function parseAddress(entry) {
+  let email;
+  let name;
+  if (entry && typeof entry === 'object') {
+    email = entry.email;
+    name = entry.name;
+  } else if (typeof entry === 'string') {
+    const named = entry.match(NAMED_ADDRESS);
+    email = named ? named[2] : entry;
+    name = named ? named[1] : undefined;
+  }
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return null;
+  }
+  const recipient = { email: email.trim() };
+  if (typeof name === 'string' && name.trim()) {
+    recipient.name = name.trim();
+  }
+  return recipient;
+}
+
+/**
+ * Parse a comma-separated recipient list (the EMAIL_RECIPIENTS variables)
+ *
+ * @param {string|undefined} value - Environment variable value
+ * @returns {{recipients: Array<{email: string, name?: string}>, invalid: Array<string>}}
+ */
+export function parseRecipientList(value) {
+  const recipients = [];
+  const invalid = [];
+  (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .forEach(entry => {
+      const recipient = parseAddress(entry);
+      if (recipient) {
+        recipients.push(recipient);
+      } else {
+        invalid.push(entry);
+      }
+    });
+  return { recipients, invalid };
+}
+
+/**
+ * Check an unsubscribe link: an https: or mailto: URL
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isUnsubscribeUrl(value) {
+  return typeof value === 'string' && /^(https:\/\/|mailto:)\S+$/.test(value);
+}
+
+/**
+ * Load and validate the recipients file
+ *
+ * Format:
+ * {
+ *   "groups": {
+ *     "leadership": {
+ *       "delivery": "bcc",                      // optional: bcc (default), individual or to
+ *       "members": ["Pat Lee <pat@example.com>", { "email": "sam@example.com", "name": "Sam" }]
+ *     },
+ *     "cbb": {
+ *       "delivery": "individual",
+ *       "greeting": "Hi {{firstName}},",        // optional, individual delivery only
+ *       "defaultName": "there",                 // optional, for members without a name
+ *       "members": [{ "email": "pm@cbb.example.com", "name": "Alex Kim" }]
+ *     }
+ *   },
+ *   "reports": { "internal": ["leadership"], "cbb": ["cbb"] },  // variant id → groups
+ *   "unsubscribe": "mailto:status@example.com?subject=Unsubscribe"   // optional List-Unsubscribe
+ * }
+ *
+ * @param {string} filePath - Path to the recipients JSON file
+ * @returns {{groups: object, reports: object, unsubscribe?: string}}
+ */
+export function loadRecipientsFile(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const errors = [];
+  const groups = {};
+
+  if (!config.groups || typeof config.groups !== 'object' || Array.isArray(config.groups)) {
+    errors.push('"groups" must be an object of named groups');
+  } else {
+    Object.entries(config.groups).forEach(([name, group]) => {
+      const where = `groups.${name}`;
+      if (!GROUP_NAME.test(name)) {
+        errors.push(`${where}: group names must be lowercase letters, digits and dashes`);
+      }
+      if (!Array.isArray(group.members)) {
+        errors.push(`${where}: "members" must be an array`);
+        return;
+      }
+      const delivery = group.delivery ?? DEFAULT_DELIVERY;
+      if (!DELIVERY_MODES.includes(delivery)) {
+        errors.push(`${where}: "delivery" must be one of ${DELIVERY_MODES.join(', ')}`);
+      }
+      if (group.greeting !== undefined) {
+        if (typeof group.greeting !== 'string' || !group.greeting) {
+          errors.push(`${where}: "greeting" must be a non-empty string`);
+        } else if (delivery !== 'individual') {
+          errors.push(`${where}: "greeting" needs "delivery": "individual" (a shared message cannot be personalized)`);
+        } else {
+          [...group.greeting.matchAll(MERGE_FIELD)]
+            .filter(match => !MERGE_FIELDS.includes(match[1]))
+            .forEach(match => errors.push(`${where}: unknown merge field {{${match[1]}}} in "greeting" (use ${MERGE_FIELDS.join(', ')})`));
+        }
+      }
+
+      const members = [];
+      group.members.forEach((entry, i) => {
+        const recipient = parseAddress(entry);
+        if (recipient) {
+          members.push(recipient);
+        } else {
+          errors.push(`${where}.members[${i}]: invalid email address ${JSON.stringify(entry)}`);
+        }
+      });
+      groups[name] = {
+        name,
+        delivery,
+        greeting: group.greeting,
+        defaultName: group.defaultName || 'there',
+        members
+      };
+    });
+  }
+
+  const reports = config.reports || {};
+  if (typeof reports !== 'object' || Array.isArray(reports)) {
+    errors.push('"reports" must map report variant ids to group names');
+  } else {
+    Object.entries(reports).forEach(([variantId, names]) => {
+      if (!Array.isArray(names) || names.length === 0) {
+        errors.push(`reports.${variantId}: must be a non-empty array of group names`);
+        return;
+      }
+      names.filter(name => !(name in groups)).forEach(name => {
+        errors.push(`reports.${variantId}: unknown group "${name}"`);
+      });
+    });
+  }
+
+  if (config.unsubscribe !== undefined && !isUnsubscribeUrl(config.unsubscribe)) {
+    errors.push('"unsubscribe" must be an https: or mailto: URL');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid recipients file ${filePath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return { groups, reports, unsubscribe: config.unsubscribe };
+}
+
+/**
+ * Load the suppression list: one address per line, or "@domain" to
+ * suppress a whole domain; blank lines and # comments are ignored
+ * A missing file is an empty list.
+ *
+ * @param {string} filePath - Path to the suppression list
+ * @returns {{size: number, isSuppressed: function(string): boolean}}
+ */
+export function loadSuppressionList(filePath) {
+  const entries = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf-8')
+      .split('\n')
+      .map(line => line.replace(/#.*$/, '').trim().toLowerCase())
+      .filter(Boolean)
+    : [];
+  const addresses = new Set(entries.filter(entry => !entry.startsWith('@')));
+  const domains = new Set(entries.filter(entry => entry.startsWith('@')));
+
+  return {
+    size: entries.length,
+    isSuppressed(email) {
+      const address = email.toLowerCase();
+      return addresses.has(address) || domains.has(address.substring(address.lastIndexOf('@')));
+    }
+  };
+}
+
+/**
+ * Apply the suppression list and drop repeated addresses across groups
+ * An address in several groups stays in the first one only.
+ *
+ * @param {Array<{members: Array<{email: string}>}>} groups - Groups, in priority order
+ * @param {{isSuppressed: function(string): boolean}} suppressions
+ * @returns {{groups: Array<object>, suppressed: Array<string>, duplicates: Array<string>}}
+ */
+export function resolveAudience(groups, suppressions) {
+  const seen = new Set();
+  const suppressed = [];
+  const duplicates = [];
+
+  const resolved = groups.map(group => ({
+    ...group,
+    members: group.members.filter(({ email }) => {
+      const key = email.toLowerCase();
+      if (seen.has(key)) {
+        duplicates.push(email);
+        return false;
+      }
+      seen.add(key);
+      if (suppressions.isSuppressed(email)) {
+        suppressed.push(email);
+        return false;
+      }
+      return true;
+    })
+  })).filter(group => group.members.length > 0);
+
+  return { groups: resolved, suppressed, duplicates };
+}
+
+/**
+ * Fill a group's greeting for one recipient
+ *
+ * @param {object} group - Group with greeting and defaultName
+ * @param {{email: string, name?: string}} recipient
+ * @returns {string|null} - Plain-text greeting, or null when the group has none
+ */
+export function personalizeGreeting(group, recipient) {
+  if (!group.greeting) {
+    return null;
+  }
+  const fields = {
+    name: recipient.name || group.defaultName,
+    firstName: recipient.name ? recipient.name.split(/\s+/)[0] : group.defaultName,
+    email: recipient.email
+  };
+  return group.greeting.replace(MERGE_FIELD, (match, field) => fields[field]);
+}
+
+/**
+ * Format a recipient for a To header
+ *
+ * @param {{email: string, name?: string}} recipient
+ * @returns {{address: string, name?: string}}
+ */
+export function toAddress(recipient) {
+  return recipient.name ? { name: recipient.name, address: recipient.email } : { address: recipient.email };
+}
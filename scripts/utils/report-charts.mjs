@@ -0,0 +1,121 @@
+import { escapeHtml } from './html.mjs';
+
+/**
+ * Report charts
+ *
+ * Small charts rendered as inline SVG for the HTML report. Everything is
+ * static markup with explicit sizes and presentation attributes (no
+ * scripts, classes or external resources), so the charts survive email
+ * clients and PDF export.
+ */
+
+const TRACK_COLOR = '#ecf0f1';
+const TEXT_COLOR = '#393939';
+const MUTED_COLOR = '#7f8c8d';
+const FONT = "'Raleway', -apple-system, BlinkMacSystemFont, sans-serif";
+
+// Keep coordinates short and stable in the generated markup
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The chart's data as text ("CBB: 2, WL: 1"), for screen readers and for
+// emails that replace charts with text
+function chartDescription(rows) {
+  return `<desc>${escapeHtml(rows.map(row => `${row.label}: ${row.value}`).join(', '))}</desc>`;
+}
+
+/**
+ * Horizontal bar chart, one labelled bar per row
+ *
+ * @param {Array<{label: string, value: number, color: string}>} rows
+ * @param {object} [options]
+ * @param {string} [options.title] - Accessible title
+ * @param {number} [options.width=300] - Chart width in px
+ * @returns {string} - SVG markup
+ */
+export function barChart(rows, { title = 'Bar chart', width = 300 } = {}) {
+  const rowHeight = 26;
+  const labelWidth = 90;
+  const valueWidth = 36;
+  const barHeight = 14;
+  const max = Math.max(1, ...rows.map(row => row.value));
+  const barSpace = width - labelWidth - valueWidth;
+  const height = Math.max(rowHeight, rows.length * rowHeight);
+
+  const bars = rows.map((row, i) => {
+    const y = i * rowHeight;
+    const barWidth = row.value > 0 ? Math.max(2, (row.value / max) * barSpace) : 0;
+    return `<text x="0" y="${y + 17}" font-size="12" fill="${TEXT_COLOR}">${escapeHtml(row.label)}</text>`
+      + `<rect x="${labelWidth}" y="${y + 6}" width="${round(barSpace)}" height="${barHeight}" rx="3" fill="${TRACK_COLOR}"/>`
+      + `<rect x="${labelWidth}" y="${y + 6}" width="${round(barWidth)}" height="${barHeight}" rx="3" fill="${row.color}"/>`
+      + `<text x="${width}" y="${y + 17}" font-size="12" font-weight="bold" fill="${TEXT_COLOR}" text-anchor="end">${row.value}</text>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" font-family="${FONT}"><title>${escapeHtml(title)}</title>${chartDescription(rows)}${bars.join('')}</svg>`;
+}
+
+/**
+ * Donut chart with the total in the middle
+ * Segments are drawn as dashed circle strokes, one per non-zero value.
+ *
+ * @param {Array<{label: string, value: number, color: string}>} segments
+ * @param {object} [options]
+ * @param {string} [options.title] - Accessible title
+ * @param {number} [options.size=140] - Chart width and height in px
+ * @returns {string} - SVG markup
+ */
+export function donutChart(segments, { title = 'Donut chart', size = 140 } = {}) {
+  const stroke = size * 0.16;
+  const radius = (size - stroke) / 2;
+  const center = size / 2;
+  const circumference = 2 * Math.PI * radius;
+  const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+
+  let offset = 0;
+  const arcs = segments.filter(segment => segment.value > 0).map(segment => {
+    const length = (segment.value / total) * circumference;
+    const arc = `<circle cx="${center}" cy="${center}" r="${round(radius)}" fill="none" stroke="${segment.color}" stroke-width="${round(stroke)}"`
+      + ` stroke-dasharray="${round(length)} ${round(circumference - length)}" stroke-dashoffset="${round(-offset)}"`
+      + ` transform="rotate(-90 ${center} ${center})"><title>${escapeHtml(`${segment.label}: ${segment.value}`)}</title></circle>`;
+    offset += length;
+    return arc;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" font-family="${FONT}"><title>${escapeHtml(title)}</title>${chartDescription(segments)}`
+    + `<circle cx="${center}" cy="${center}" r="${round(radius)}" fill="none" stroke="${TRACK_COLOR}" stroke-width="${round(stroke)}"/>`
+    + arcs.join('')
+    + `<text x="${center}" y="${center + 2}" font-size="${Math.round(size / 5)}" font-weight="bold" fill="${TEXT_COLOR}" text-anchor="middle">${total}</text>`
+    + `<text x="${center}" y="${center + size / 7}" font-size="${Math.round(size / 13)}" fill="${MUTED_COLOR}" text-anchor="middle">items</text>`
+    + '</svg>';
+}
+
+/**
+ * Sparkline for a series of counts, oldest first
+ * The last point is marked so the current value stands out.
+ *
+ * @param {Array<number>} values - At least two values
+ * @param {object} [options]
+ * @param {string} [options.color='#43B6E7'] - Line color
+ * @param {string} [options.title] - Accessible title
+ * @param {number} [options.width=100] - Width in px
+ * @param {number} [options.height=24] - Height in px
+ * @returns {string} - SVG markup
+ */
+export function sparkline(values, { color = '#43B6E7', title = 'Trend', width = 100, height = 24 } = {}) {
+  const padding = 3;
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  const step = (width - padding * 2) / Math.max(1, values.length - 1);
+  // A flat series is drawn through the middle
+  const points = values.map((value, i) => [
+    round(padding + i * step),
+    range === 0 ? height / 2 : round(height - padding - ((value - min) / range) * (height - padding * 2))
+  ]);
+  const [lastX, lastY] = points[points.length - 1];
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img"><title>${escapeHtml(title)}</title>`
+    + `<polyline points="${points.map(point => point.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>`
+    + `<circle cx="${lastX}" cy="${lastY}" r="2.5" fill="${color}"/>`
+    + '</svg>';
+}
@@ -0,0 +1,274 @@
+import fs from 'fs';
+import { validateDateSettings } from './dates.mjs';
+
+/**
+ * Report configuration
+ *
+ * Loads config/report.json, which defines who and what the status report
+ * covers: the target clients (with display names and aliases), how Notion
+ * statuses group into buckets (and which buckets are left out), the
+ * priority scale and the summary sentence. Adding a client or status is a
+ * config change, not a code change.
+ */
+
+const HEX_COLOR = /^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/;
+const SLUG = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const ENV_NAME = /^[A-Z_][A-Z0-9_]*$/;
+const DEFAULT_CLIENT_SUMMARY = 'This report covers <strong>{{itemCount}} active items</strong> for {{clientName}}. Below is a breakdown of issues by priority and status.';
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+const ATTACHMENT_TYPES = ['pdf', 'csv', 'json'];
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.length > 0);
+}
+
+function isAttachmentList(value) {
+  return Array.isArray(value) && value.every(entry => ATTACHMENT_TYPES.includes(entry));
+}
+
+/**
+ * Load and validate the report configuration
+ *
+ * Format:
+ * {
+ *   "clients": [{
+ *     "name": "Wise Loan",
+ *     "displayName": "Wise Loan",          // optional, defaults to name
+ *     "aliases": ["WL"],                   // optional
+ *     "slug": "wise-loan",                 // optional, names the client's report file
+ *     "recipientsEnv": "EMAIL_RECIPIENTS_WISE_LOAN", // optional, env var with the client's recipients
+ *     "attachments": ["pdf", "csv"],       // optional, files attached to the email: pdf, csv, json
+ *     "attachPdf": true                    // optional, same as including "pdf" in attachments
+ *   }],
+ *   "internalAttachments": ["csv"],        // optional, files attached to the internal report's email
+ *   "statusBuckets": [{ "name": "Closed", "statuses": ["Done"], "excludeFromReport": true }],
+ *   "priorities": [{ "key": "URGENT", "label": "1 - URGENT Priority", "color": "#e74c3c", "aliases": [] }],
+ *   "summary": "... {{itemCount}} ... {{clientNames}} ...",
+ *   "clientSummary": "... {{itemCount}} ... {{clientName}} ...", // optional, for per-client reports
+ *   "locale": "en-US",                     // optional, date formatting
+ *   "timeZone": "America/Chicago",         // optional, IANA zone for report dates (default UTC)
+ *   "showDataAsOf": true                   // optional, show when the Notion data was fetched
+ * }
+ *
+ * @param {string} configPath - Path to the report config JSON file
+ * @returns {object} - Parsed config with defaults applied
+ */
+export function loadReportConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Report config file not found: ${configPath}`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  const errors = [];
+
+  if (!Array.isArray(config.clients) || config.clients.length === 0) {
+    errors.push('"clients" must be a non-empty array');
+  } else {
+    const slugs = new Set();
+    config.clients.forEach((client, i) => {
+      if (typeof client.name !== 'string' || !client.name) {
+        errors.push(`clients[${i}]: missing "name"`);
+        return;
+      }
+      const slug = client.slug ?? slugify(client.name);
+      if (!SLUG.test(slug)) {
+        errors.push(`clients[${i}]: "slug" must be lowercase letters, digits and dashes`);
+      } else if (slugs.has(slug)) {
+        errors.push(`clients[${i}]: duplicate slug "${slug}"`);
+      }
+      slugs.add(slug);
+      if (client.recipientsEnv !== undefined && !ENV_NAME.test(client.recipientsEnv)) {
+        errors.push(`clients[${i}]: "recipientsEnv" must be an environment variable name`);
+      }
+      if (client.displayName !== undefined && typeof client.displayName !== 'string') {
+        errors.push(`clients[${i}]: "displayName" must be a string`);
+      }
+      if (client.aliases !== undefined && !isStringList(client.aliases)) {
+        errors.push(`clients[${i}]: "aliases" must be an array of strings`);
+      }
+      if (client.attachPdf !== undefined && typeof client.attachPdf !== 'boolean') {
+        errors.push(`clients[${i}]: "attachPdf" must be true or false`);
+      }
+      if (client.attachments !== undefined && !isAttachmentList(client.attachments)) {
+        errors.push(`clients[${i}]: "attachments" must be an array of ${ATTACHMENT_TYPES.join(', ')}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(config.statusBuckets)) {
+    errors.push('"statusBuckets" must be an array');
+  } else {
+    const seen = new Map();
+    config.statusBuckets.forEach((bucket, i) => {
+      if (typeof bucket.name !== 'string' || !bucket.name) {
+        errors.push(`statusBuckets[${i}]: missing "name"`);
+      }
+      if (!isStringList(bucket.statuses)) {
+        errors.push(`statusBuckets[${i}]: "statuses" must be an array of strings`);
+        return;
+      }
+      bucket.statuses.forEach(status => {
+        if (seen.has(normalize(status))) {
+          errors.push(`statusBuckets[${i}]: status "${status}" is already in bucket "${seen.get(normalize(status))}"`);
+        }
+        seen.set(normalize(status), bucket.name);
+      });
+    });
+  }
+
+  if (!Array.isArray(config.priorities) || config.priorities.length === 0) {
+    errors.push('"priorities" must be a non-empty array');
+  } else {
+    const keys = new Set();
+    config.priorities.forEach((priority, i) => {
+      if (typeof priority.key !== 'string' || !priority.key) {
+        errors.push(`priorities[${i}]: missing "key"`);
+      } else if (keys.has(priority.key.toUpperCase())) {
+        errors.push(`priorities[${i}]: duplicate key "${priority.key}"`);
+      } else {
+        keys.add(priority.key.toUpperCase());
+      }
+      if (typeof priority.label !== 'string' || !priority.label) {
+        errors.push(`priorities[${i}]: missing "label"`);
+      }
+      if (!HEX_COLOR.test(priority.color || '')) {
+        errors.push(`priorities[${i}]: "color" must be a hex color like "#e74c3c"`);
+      }
+      if (priority.aliases !== undefined && !isStringList(priority.aliases)) {
+        errors.push(`priorities[${i}]: "aliases" must be an array of strings`);
+      }
+    });
+  }
+
+  if (typeof config.summary !== 'string' || !config.summary) {
+    errors.push('"summary" must be a non-empty string');
+  }
+  if (config.clientSummary !== undefined && (typeof config.clientSummary !== 'string' || !config.clientSummary)) {
+    errors.push('"clientSummary" must be a non-empty string');
+  }
+
+  if (config.locale !== undefined && typeof config.locale !== 'string') {
+    errors.push('"locale" must be a string such as "en-US"');
+  } else if (config.timeZone !== undefined && typeof config.timeZone !== 'string') {
+    errors.push('"timeZone" must be a string such as "America/Chicago"');
+  } else {
+    errors.push(...validateDateSettings(config.locale, config.timeZone));
+  }
+  if (config.showDataAsOf !== undefined && typeof config.showDataAsOf !== 'boolean') {
+    errors.push('"showDataAsOf" must be true or false');
+  }
+  if (config.internalAttachments !== undefined && !isAttachmentList(config.internalAttachments)) {
+    errors.push(`"internalAttachments" must be an array of ${ATTACHMENT_TYPES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid report config ${configPath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    ...config,
+    clientSummary: config.clientSummary || DEFAULT_CLIENT_SUMMARY,
+    internalAttachments: config.internalAttachments || [],
+    clients: config.clients.map(client => {
+      const slug = client.slug || slugify(client.name);
+      return {
+        ...client,
+        displayName: client.displayName || client.name,
+        aliases: client.aliases || [],
+        slug,
+        attachments: [...new Set([...(client.attachPdf === true ? ['pdf'] : []), ...(client.attachments || [])])],
+        recipientsEnv: client.recipientsEnv || `EMAIL_RECIPIENTS_${slug.toUpperCase().replace(/-/g, '_')}`
+      };
+    }),
+    priorities: config.priorities.map(priority => ({
+      ...priority,
+      key: priority.key.toUpperCase(),
+      aliases: priority.aliases || []
+    }))
+  };
+}
+
+/**
+ * Find the configured client an item belongs to
+ * Matches the client name or any alias, ignoring case. List values (and
+ * comma-joined lists) match on any entry; the first configured client wins.
+ *
+ * @param {object} config - Report config
+ * @param {string|Array<string>|null} value - Item's client value
+ * @returns {object|null} - Client entry, or null for clients outside the report
+ */
+export function matchClient(config, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const values = (Array.isArray(value) ? value : String(value).split(',')).map(normalize);
+  return config.clients.find(client =>
+    [client.name, ...client.aliases].some(name => values.includes(normalize(name)))
+  ) || null;
+}
+
+/**
+ * Find the status bucket for a status
+ *
+ * @param {object} config - Report config
+ * @param {string} status - Notion status
+ * @returns {object|null} - Bucket entry, or null when the status is not bucketed
+ */
+export function matchStatusBucket(config, status) {
+  return config.statusBuckets.find(bucket =>
+    bucket.statuses.some(entry => normalize(entry) === normalize(status))
+  ) || null;
+}
+
+/**
+ * Find the priority level for a Notion priority value
+ * Values like "1 - URGENT" match on the part after the last dash; aliases
+ * match the whole value, ignoring case.
+ *
+ * @param {object} config - Report config
+ * @param {string} priority - Notion priority value
+ * @returns {object|null} - Priority entry, or null when unknown
+ */
+export function matchPriority(config, priority) {
+  const name = String(priority).split('-').pop().trim().toUpperCase();
+  return config.priorities.find(level =>
+    level.key === name || level.aliases.some(alias => normalize(alias) === normalize(priority))
+  ) || null;
+}
+
+/**
+ * Values the Notion query spec can reference with { "fromReport": "<name>" }
+ * The fetch filter then follows the same clients, aliases and closed
+ * statuses as the report, instead of a second hand-written list.
+ *
+ * @param {object} config - Report config
+ * @returns {{clients: Array<string>, excludedStatuses: Array<string>}}
+ *   clients: every client name and alias; excludedStatuses: statuses of
+ *   buckets marked excludeFromReport
+ */
+export function reportQueryValues(config) {
+  return {
+    clients: [...new Set(config.clients.flatMap(client => [client.name, ...client.aliases]))],
+    excludedStatuses: [...new Set(config.statusBuckets
+      .filter(bucket => bucket.excludeFromReport)
+      .flatMap(bucket => bucket.statuses))]
+  };
+}
+
+/**
+ * Spell out small counts for the summary sentence ("three")
+ *
+ * @param {number} count
+ * @returns {string}
+ */
+export function countWord(count) {
+  return NUMBER_WORDS[count] || String(count);
+}
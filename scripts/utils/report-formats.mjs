@@ -0,0 +1,423 @@
+import { changeGroups } from './report-model.mjs';
+import { sanitizeText, safeUrl } from './html.mjs';
+import { renderTemplate } from './template.mjs';
+
+/**
+ * Non-HTML report renderers
+ *
+ * Render a report model (see report-model.mjs) as GitHub-flavored Markdown,
+ * plain text, a JSON summary or a CSV export of the items. The HTML report
+ * is rendered from the same model by generate-report.mjs using the HTML
+ * template.
+ */
+
+const REPORT_TITLE = 'Product Features & Development Status Report';
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Convert the summary sentence (simple HTML) to plain text
+ * <strong>/<b> become `bold` markers; other tags are dropped.
+ *
+ * @param {string} html - Summary HTML
+ * @param {string} [bold=''] - Marker to wrap bold text in (e.g. "**")
+ * @returns {string}
+ */
+export function htmlToPlainText(html, bold = '') {
+  return String(html)
+    .replace(/<\/?(strong|b)>/gi, bold)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Render the summary sentence from the report config for every format
+ * The config template is simple HTML. For Markdown and text its own tags are
+ * converted first and the slots filled afterwards, escaped for that format,
+ * so a database label or client name containing markup stays text instead
+ * of being decoded back into HTML. Every slot is escaped in Markdown and
+ * text, {{{raw}}} ones included.
+ *
+ * @param {string} template - Summary template from the report config
+ * @param {object} slots - Slot values (plain text)
+ * @param {string} name - Template name (for error messages)
+ * @returns {{html: string, markdown: string, text: string}}
+ */
+export function renderSummary(template, slots, name) {
+  const plainTemplate = bold => htmlToPlainText(template.replace(/\{\{\{\s*([\w.-]+)\s*\}\}\}/g, '{{$1}}'), bold);
+  return {
+    html: renderTemplate(template, slots, name),
+    markdown: renderTemplate(plainTemplate('**'), slots, name, { escape: escapeMarkdown }),
+    text: renderTemplate(plainTemplate(''), slots, name, { escape: sanitizeText })
+  };
+}
+
+/**
+ * Escape text for inline Markdown
+ * Covers Markdown punctuation and raw HTML, which GitHub would render, and
+ * strips control and bidi characters like escapeHtml().
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeMarkdown(text) {
+  return sanitizeText(text)
+    .replace(/[\\`*_[\]#|~]/g, '\\$&')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Describe how long ago an item was edited, e.g. "Updated 3 days ago"
+ *
+ * @param {number} days - Whole days since the last edit
+ * @returns {string}
+ */
+export function updatedLabel(days) {
+  if (days === 0) return 'Updated today';
+  return `Updated ${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Owner, due date and last update of an item as label/value pairs
+ * Missing values are left out.
+ *
+ * @param {object} details - Result of itemDetails()
+ * @param {object} dates - Date formatter from createDateFormatter()
+ * @returns {Array<{label: string, value: string, overdue?: boolean}>}
+ */
+export function detailParts(details, dates) {
+  const parts = [];
+  if (details.owner) {
+    parts.push({ label: 'Owner', value: details.owner });
+  }
+  if (details.dueDate) {
+    parts.push({ label: 'Due', value: dates.short(details.dueDate), overdue: details.overdue });
+  }
+  if (details.daysSinceUpdate !== null) {
+    parts.push({ label: '', value: updatedLabel(details.daysSinceUpdate) });
+  }
+  return parts;
+}
+
+function detailLine(details, dates, { escape = text => text, bold = '' } = {}) {
+  return detailParts(details, dates)
+    .map(part => {
+      const text = escape(part.label ? `${part.label}: ${part.value}` : part.value);
+      return part.overdue ? `${text} (${bold}OVERDUE${bold})` : text;
+    })
+    .join(' | ');
+}
+
+// " ([Notion](url))" for a markdown item; nothing when the URL is not an
+// allowed link (safeUrl(), whose entity escaping markdown renderers decode).
+// Parentheses are percent-encoded so they cannot end the link destination.
+function notionLink(url) {
+  const href = safeUrl(url);
+  return href ? ` ([Notion](${href.replace(/\(/g, '%28').replace(/\)/g, '%29')}))` : '';
+}
+
+function truncate(text, maxLength = MAX_NOTE_LENGTH) {
+  return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+}
+
+/**
+ * Label for an item's latest note, e.g. "Latest comment (2026-01-05)"
+ *
+ * @param {object} note - item.latestNote
+ * @param {object} dates - Date formatter from createDateFormatter()
+ * @returns {string}
+ */
+export function noteLabel(note, dates) {
+  return note.source === 'comment'
+    ? `Latest comment${note.createdTime ? ` (${dates.isoDay(note.createdTime)})` : ''}`
+    : 'Latest note';
+}
+
+function audienceLabel(model) {
+  return model.variant.audience === 'internal' ? 'Internal (all clients)' : model.variant.title;
+}
+
+/**
+ * Render a report model as GitHub-flavored Markdown
+ *
+ * @param {object} model - Result of buildReportModel()
+ * @returns {string}
+ */
+export function renderMarkdown(model) {
+  const lines = [
+    `# ${REPORT_TITLE}`,
+    '',
+    `**Report date:** ${model.reportDate} | **Audience:** ${escapeMarkdown(audienceLabel(model))} | **Data source:** ${escapeMarkdown(model.dataSource)}`,
+    '',
+    model.summary.markdown,
+    ''
+  ];
+
+  if (model.diff) {
+    lines.push('## What changed since last report', '', `_Compared with the report data from ${model.dates.long(model.diff.previousFetchedAt)}._`, '');
+    const groups = changeGroups(model.diff).filter(group => group.entries.length > 0);
+    groups.forEach(group => {
+      lines.push(`### ${group.title} (${group.entries.length})`, '');
+      group.entries.forEach(({ item, from, to }) => {
+        lines.push(from !== undefined
+          ? `- ${escapeMarkdown(item.name)}: ${escapeMarkdown(from)} → **${escapeMarkdown(to)}**`
+          : `- ${escapeMarkdown(item.name)} (${escapeMarkdown(item.client)})`);
+      });
+      lines.push('');
+    });
+    if (groups.length === 0) {
+      lines.push('No changes since the last report.', '');
+    }
+  }
+
+  let hasItems = false;
+  model.sources.forEach(source => {
+    const heading = source.label === null ? '##' : '###';
+    if (source.label !== null) {
+      lines.push(`## ${escapeMarkdown(source.label)} (${source.itemCount} items)`, '');
+    }
+
+    source.priorities.forEach(({ level, clients }) => {
+      if (clients.length === 0) return;
+      hasItems = true;
+      lines.push(`${heading} ${escapeMarkdown(level.label)} Issues`, '');
+
+      clients.forEach(({ name, items }) => {
+        lines.push(`**${escapeMarkdown(name)}**`, '');
+        items.forEach((item, index) => {
+          const link = notionLink(item.url);
+          lines.push(`${index + 1}. **${escapeMarkdown(item.name)}**${link} - Status: ${escapeMarkdown(item.status || 'Unknown')} | Priority: ${level.key}`);
+          const details = detailLine(item.details, model.dates, { escape: escapeMarkdown, bold: '**' });
+          if (details) {
+            lines.push(`   ${details}`);
+          }
+          if (item.updates) {
+            lines.push(`   > ${escapeMarkdown(truncate(item.updates))}`);
+          }
+          if (item.latestNote) {
+            lines.push(`   > _${noteLabel(item.latestNote, model.dates)}:_ ${escapeMarkdown(truncate(item.latestNote.text))}`);
+          }
+        });
+        lines.push('');
+      });
+    });
+  });
+
+  if (model.triage.length > 0) {
+    lines.push(`## Needs triage (${model.triage.length})`, '', '_These items could not be categorized; fix the priority or status in Notion, or the report config._', '');
+    model.triage.forEach(({ item, reasons }) => {
+      const link = notionLink(item.url);
+      lines.push(`- **${escapeMarkdown(item.name)}**${link} (${escapeMarkdown(item.client)}): ${escapeMarkdown(reasons.join('; '))}`);
+    });
+    lines.push('');
+  } else if (!hasItems) {
+    lines.push('No open items.', '');
+  }
+
+  lines.push('---', '', `_${footerLine(model, escapeMarkdown)}_`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Render a report model as plain text
+ * Control and bidi characters are stripped (sanitizeText()); nothing else
+ * needs escaping.
+ *
+ * @param {object} model - Result of buildReportModel()
+ * @returns {string}
+ */
+export function renderText(model) {
+  const heading = text => [text.toUpperCase(), '='.repeat(text.length)];
+  const lines = [
+    ...heading(REPORT_TITLE),
+    `Report date: ${model.reportDate}`,
+    `Audience: ${audienceLabel(model)}`,
+    '',
+    model.summary.text,
+    ''
+  ];
+
+  if (model.diff) {
+    lines.push(...heading('What changed since last report'), `Compared with the report data from ${model.dates.long(model.diff.previousFetchedAt)}.`, '');
+    const groups = changeGroups(model.diff).filter(group => group.entries.length > 0);
+    groups.forEach(group => {
+      lines.push(`${group.title} (${group.entries.length}):`);
+      group.entries.forEach(({ item, from, to }) => {
+        lines.push(from !== undefined
+          ? `  - ${item.name}: ${from} -> ${to}`
+          : `  - ${item.name} (${item.client})`);
+      });
+      lines.push('');
+    });
+    if (groups.length === 0) {
+      lines.push('No changes since the last report.', '');
+    }
+  }
+
+  let hasItems = false;
+  model.sources.forEach(source => {
+    if (source.label !== null) {
+      lines.push(...heading(`${source.label} (${source.itemCount} items)`), '');
+    }
+
+    source.priorities.forEach(({ level, clients }) => {
+      if (clients.length === 0) return;
+      hasItems = true;
+      const title = `${level.label} Issues`;
+      lines.push(title, '-'.repeat(title.length));
+
+      clients.forEach(({ name, items }) => {
+        lines.push(name);
+        items.forEach((item, index) => {
+          lines.push(`  ${index + 1}. ${item.name}`);
+          lines.push(`     Status: ${item.status || 'Unknown'} | Priority: ${level.key}`);
+          const details = detailLine(item.details, model.dates);
+          if (details) {
+            lines.push(`     ${details}`);
+          }
+          if (item.updates) {
+            lines.push(`     ${truncate(item.updates).replace(/\r?\n/g, '\n     ')}`);
+          }
+          if (item.latestNote) {
+            lines.push(`     ${noteLabel(item.latestNote, model.dates)}: ${truncate(item.latestNote.text).replace(/\r?\n/g, '\n     ')}`);
+          }
+          if (item.url) {
+            lines.push(`     ${item.url}`);
+          }
+        });
+        lines.push('');
+      });
+    });
+  });
+
+  if (model.triage.length > 0) {
+    lines.push(...heading(`Needs triage (${model.triage.length})`), 'These items could not be categorized; fix the priority or status in Notion, or the report config.', '');
+    model.triage.forEach(({ item, reasons }) => {
+      lines.push(`  - ${item.name} (${item.client}): ${reasons.join('; ')}`);
+    });
+    lines.push('');
+  } else if (!hasItems) {
+    lines.push('No open items.', '');
+  }
+
+  lines.push('--', footerLine(model), '');
+  return sanitizeText(lines.join('\n'));
+}
+
+/**
+ * Render a report model as a JSON summary
+ *
+ * @param {object} model - Result of buildReportModel()
+ * @returns {string}
+ */
+export function renderJson(model) {
+  const brief = item => ({
+    id: item.id,
+    name: item.name,
+    status: item.status,
+    priority: item.priority,
+    client: item.client,
+    url: item.url ?? null,
+    owner: item.details?.owner ?? null,
+    dueDate: item.details?.dueDate ?? null,
+    overdue: item.details?.overdue ?? false,
+    lastEditedTime: item.lastEditedTime ?? null
+  });
+
+  const summary = {
+    variant: model.variant,
+    reportDate: model.reportDate,
+    timeZone: model.dates.timeZone,
+    dataFetchedAt: model.dataFetchedAt,
+    dataAsOf: model.dataAsOf,
+    dataSource: model.dataSource,
+    summary: model.summary.text,
+    itemCount: model.itemCount,
+    counts: model.counts,
+    trend: model.trend,
+    changes: model.diff
+      ? {
+        previousFetchedAt: model.diff.previousFetchedAt,
+        ...Object.fromEntries(changeGroups(model.diff).map(group => [
+          group.key,
+          group.entries.map(({ item, from, to }) => (from !== undefined ? { ...brief(item), from, to } : brief(item)))
+        ]))
+      }
+      : null,
+    sections: model.sources.map(source => ({
+      source: source.label,
+      itemCount: source.itemCount,
+      priorities: source.priorities.map(({ level, clients }) => ({
+        key: level.key,
+        label: level.label,
+        itemCount: clients.reduce((total, client) => total + client.items.length, 0),
+        clients: clients.map(client => ({ name: client.name, items: client.items.map(brief) }))
+      }))
+    })),
+    needsTriage: model.triage.map(({ item, reasons }) => ({ ...brief(item), reasons }))
+  };
+
+  return `${JSON.stringify(summary, null, 2)}\n`;
+}
+
+/**
+ * Render a report model as CSV, one row per item
+ * Items appear in report order (priority, then client), followed by items
+ * that only appear under "Needs triage".
+ *
+ * @param {object} model - Result of buildReportModel()
+ * @returns {string}
+ */
+export function renderCsv(model) {
+  const reasons = new Map(model.triage.map(({ item, reasons }) => [item.id, reasons]));
+  const listed = model.sources.flatMap(source =>
+    source.priorities.flatMap(({ clients }) => clients.flatMap(client => client.items)));
+  const listedIds = new Set(listed.map(item => item.id));
+  const items = [...listed, ...model.items.filter(item => !listedIds.has(item.id))];
+
+  const header = ['Name', 'Client', 'Priority', 'Status', 'Owner', 'Due Date', 'Overdue', 'Last Edited', 'Needs Triage', 'Source', 'URL'];
+  const rows = items.map(item => [
+    item.name,
+    Array.isArray(item.client) ? item.client.join(', ') : item.client,
+    item.priority,
+    item.status,
+    item.details?.owner,
+    item.details?.dueDate,
+    item.details?.overdue ? 'yes' : 'no',
+    item.lastEditedTime,
+    (reasons.get(item.id) || []).join('; '),
+    item.source,
+    item.url
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV cell when needed
+ * Text a spreadsheet would run as a formula (starting with =, +, - or @) is
+ * prefixed with an apostrophe, since names and statuses come from Notion.
+ */
+function csvCell(value) {
+  let text = sanitizeText(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function footerLine(model, escape = text => text) {
+  return [
+    `Report date: ${escape(model.reportDate)}`,
+    ...(model.dataAsOf ? [`Data as of: ${escape(model.dataAsOf)}`] : []),
+    `Data source: ${escape(model.dataSource)}`
+  ].join(' | ');
+}
@@ -0,0 +1,264 @@
+import { matchClient, matchStatusBucket, matchPriority } from './report-config.mjs';
+import { noteToPlainText } from './notion-content.mjs';
+
+/**
+ * Report model
+ *
+ * Groups a report variant's items once (by source board, priority and
+ * client) and counts them, so the HTML, Markdown, text and JSON renderers
+ * all describe exactly the same data.
+ */
+
+// Items without a priority count as the lowest level
+function itemPriority(item, config) {
+  return item.priority || config.priorities[config.priorities.length - 1].key;
+}
+
+/**
+ * Group items by priority level, then by client display name
+ * Levels follow the configured scale and are included even when empty.
+ * Items with an unknown priority are left out; see triageItems().
+ *
+ * @param {Array<object>} items - Report items
+ * @param {object} config - Report config
+ * @returns {Array<{level: object, clients: Array<{name: string, items: Array<object>}>}>}
+ */
+export function groupByPriority(items, config) {
+  const groups = new Map(config.priorities.map(level => [level.key, new Map()]));
+
+  items.forEach(item => {
+    const priority = itemPriority(item, config);
+    // Handle priority like "1 - URGENT", "2 - HIGH", etc., plus configured aliases
+    const level = matchPriority(config, priority);
+    if (!level) {
+      return;
+    }
+
+    const clients = groups.get(level.key);
+    const client = matchClient(config, item.client)?.displayName || item.client || 'Unknown';
+    if (!clients.has(client)) {
+      clients.set(client, []);
+    }
+    clients.get(client).push(item);
+  });
+
+  return config.priorities.map(level => ({
+    level,
+    clients: [...groups.get(level.key)].map(([name, clientItems]) => ({ name, items: clientItems }))
+  }));
+}
+
+/**
+ * Find the items that could not be categorized
+ * An unknown priority keeps the item out of the priority sections; a status
+ * outside every bucket still shows the item under its priority (counted as
+ * "Other"). Both need someone to fix the board or config/report.json.
+ *
+ * @param {Array<object>} items - Report items
+ * @param {object} config - Report config
+ * @returns {Array<{item: object, reasons: Array<string>}>}
+ */
+export function triageItems(items, config) {
+  return items
+    .map(item => {
+      const reasons = [];
+      if (!matchPriority(config, itemPriority(item, config))) {
+        reasons.push(`Unknown priority "${item.priority}"`);
+      }
+      if (!matchStatusBucket(config, item.status)) {
+        reasons.push(`Status "${item.status}" is not in any status bucket`);
+      }
+      return { item, reasons };
+    })
+    .filter(entry => entry.reasons.length > 0);
+}
+
+/**
+ * Owner, due date and freshness of an item at report time
+ * Due dates are compared by calendar day in the report time zone, so an
+ * item due today is not overdue yet.
+ *
+ * @param {object} item - Report item (owner, dueDate and lastEditedTime are optional)
+ * @param {Date} now - Report time
+ * @param {object} dates - Date formatter from createDateFormatter()
+ * @returns {{owner: string|null, dueDate: string|null, overdue: boolean, daysSinceUpdate: number|null}}
+ */
+export function itemDetails(item, now, dates) {
+  const owner = Array.isArray(item.owner) ? item.owner.join(', ') : item.owner;
+  const dueDate = item.dueDate || null;
+  const updatedAt = item.lastEditedTime ? Date.parse(item.lastEditedTime) : NaN;
+
+  return {
+    owner: owner || null,
+    dueDate,
+    overdue: dueDate !== null && dates.isoDay(dueDate) < dates.isoDay(now),
+    daysSinceUpdate: Number.isNaN(updatedAt) ? null : Math.max(0, Math.floor((now - updatedAt) / 86400000))
+  };
+}
+
+/**
+ * Count items by priority, client, status and status bucket
+ *
+ * @param {Array<object>} items - Report items
+ * @param {object} config - Report config
+ * @returns {{byPriority: object, byClient: object, byStatus: object, byStatusBucket: object, overdue: number}}
+ */
+export function countItems(items, config) {
+  const counts = { byPriority: {}, byClient: {}, byStatus: {}, byStatusBucket: {}, overdue: 0 };
+  const add = (bucket, key) => {
+    bucket[key] = (bucket[key] || 0) + 1;
+  };
+
+  items.forEach(item => {
+    add(counts.byPriority, matchPriority(config, itemPriority(item, config))?.key || 'Unknown');
+    add(counts.byClient, matchClient(config, item.client)?.displayName || 'Unknown');
+    add(counts.byStatus, item.status || 'Unknown');
+    add(counts.byStatusBucket, matchStatusBucket(config, item.status)?.name || 'Other');
+    if (item.details?.overdue) {
+      counts.overdue++;
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Turn a snapshot diff into titled groups of entries
+ * Entries are { item } or, for changed fields, { item, from, to }.
+ *
+ * @param {object} diff - Result of diffSnapshots()
+ * @returns {Array<{key: string, title: string, entries: Array<object>}>}
+ */
+export function changeGroups(diff) {
+  return [
+    { key: 'added', title: 'New', entries: diff.added.map(item => ({ item })) },
+    { key: 'closed', title: 'Closed', entries: diff.closed.map(item => ({ item })) },
+    { key: 'statusChanged', title: 'Status changed', entries: diff.statusChanged },
+    { key: 'priorityChanged', title: 'Priority changed', entries: diff.priorityChanged },
+    { key: 'stale', title: `No change in ${diff.staleRuns} reports`, entries: diff.stale.map(item => ({ item })) }
+  ];
+}
+
+/**
+ * Count a variant's items per priority level, client and status bucket
+ * Every configured level, client (all clients for the internal report) and
+ * included bucket is listed, even with a count of zero.
+ *
+ * @param {object} variant - Report variant
+ * @param {Array<object>} items - Items in this variant
+ * @param {object} config - Report config
+ * @param {object} counts - Result of countItems()
+ * @returns {{byPriority: Array<object>, byClient: Array<object>, byStatusBucket: Array<object>}}
+ */
+function buildOverview(variant, items, config, counts) {
+  const clients = variant.client ? [variant.client] : config.clients;
+  const buckets = config.statusBuckets.filter(bucket => !bucket.excludeFromReport).map(bucket => bucket.name);
+  if (counts.byStatusBucket.Other) {
+    buckets.push('Other');
+  }
+
+  // Unknown priorities are shown as their own slice so the chart adds up to the item count
+  const byPriority = config.priorities.map(({ key, label, color }) => ({ key, label, color, count: counts.byPriority[key] || 0 }));
+  if (counts.byPriority.Unknown) {
+    byPriority.push({ key: 'Unknown', label: 'Unknown priority', color: '#95a5a6', count: counts.byPriority.Unknown });
+  }
+
+  return {
+    byPriority,
+    byClient: clients.map(client => ({ name: client.displayName, count: counts.byClient[client.displayName] || 0 })),
+    byStatusBucket: buckets.map(name => ({ name, count: counts.byStatusBucket[name] || 0 }))
+  };
+}
+
+/**
+ * Item counts per run, oldest first, for trend sparklines
+ *
+ * @param {Array<object>} history - Earlier snapshots (already filtered to the variant)
+ * @param {object} current - { fetchedAt, items } for this run
+ * @param {object} config - Report config
+ * @returns {Array<{fetchedAt: string, itemCount: number, byPriority: object}>}
+ */
+export function trendPoints(history, current, config) {
+  return [...history, current].map(snapshot => ({
+    fetchedAt: snapshot.fetchedAt,
+    itemCount: snapshot.items.length,
+    byPriority: countItems(snapshot.items, config).byPriority
+  }));
+}
+
+/**
+ * Build the model for one report variant
+ *
+ * @param {object} variant - Report variant (id, audience, title, client)
+ * @param {Array<object>} items - Items in this variant
+ * @param {object} context
+ * @param {object} context.rawData - notion-raw.json contents
+ * @param {object} context.config - Report config
+ * @param {object|null} context.diff - Result of diffSnapshots(), if any
+ * @param {Array<object>} [context.history=[]] - Earlier snapshots for trends, oldest first (filtered to the variant)
+ * @param {{html: string, markdown: string, text: string}} context.summary - Summary sentence in each format (renderSummary())
+ * @param {object} context.dates - Date formatter from createDateFormatter()
+ * @param {Date} [context.now=new Date()] - Report time, for the report date, due dates and "last updated"
+ * @returns {object} - Model; items carry `details` from itemDetails() and
+ *   `latestNote` as plain text
+ */
+export function buildReportModel(variant, reportItems, { rawData, config, diff, history = [], summary, dates, now = new Date() }) {
+  const items = reportItems.map(item => ({
+    ...item,
+    // Notes are markdown from Notion; every format shows them as text
+    latestNote: item.latestNote ? { ...item.latestNote, text: noteToPlainText(item.latestNote.text) } : item.latestNote,
+    details: itemDetails(item, now, dates)
+  }));
+
+  // Split by source database when items come from more than one board
+  const labels = (rawData.databases || []).map(db => db.label);
+  let sources;
+  if (labels.length > 1) {
+    sources = labels
+      .map(label => ({ label, items: items.filter(item => item.source === label) }))
+      .filter(source => {
+        if (source.items.length === 0) {
+          console.log(`Skipping source ${source.label}: no items`);
+        }
+        return source.items.length > 0;
+      });
+  } else {
+    sources = [{ label: null, items }];
+  }
+
+  const boardNames = (rawData.databases || []).map(db => db.title);
+  const dataSource = boardNames.length > 0
+    ? `Notion ${boardNames.join(', ')} Board${boardNames.length > 1 ? 's' : ''}`
+    : 'Notion';
+
+  const counts = countItems(items, config);
+
+  return {
+    variant: {
+      id: variant.id,
+      audience: variant.audience,
+      title: variant.title,
+      client: variant.client?.name ?? null
+    },
+    dates,
+    reportDate: dates.long(now),
+    dataFetchedAt: rawData.fetchedAt,
+    // "Data as of" uses the fetch time, which can be well before the report runs
+    dataAsOf: config.showDataAsOf ? dates.dateTime(rawData.fetchedAt) : null,
+    dataSource,
+    summary,
+    itemCount: items.length,
+    // Every item in the variant, with details, in source order
+    items,
+    counts,
+    overview: buildOverview(variant, items, config, counts),
+    trend: trendPoints(history, { fetchedAt: rawData.fetchedAt, items }, config),
+    triage: triageItems(items, config),
+    diff,
+    sources: sources.map(source => ({
+      label: source.label,
+      itemCount: source.items.length,
+      priorities: groupByPriority(source.items, config)
+    }))
+  };
+}
@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Notion data snapshots
+ *
+ * Each fetch is archived as data/snapshots/notion-<fetchedAt>.json so the
+ * report can show what changed between runs. diffSnapshots() compares two
+ * snapshots item by item and classifies the differences.
+ */
+
+export const DEFAULT_SNAPSHOT_DIR = path.join(process.cwd(), 'data', 'snapshots');
+
+// Fields compared when deciding whether an item changed at all
+const TRACKED_FIELDS = ['name', 'status', 'priority', 'updates', 'client'];
+
+/**
+ * Archive a fetch result and prune old snapshots
+ *
+ * @param {object} output - notion-raw.json contents
+ * @param {object} [options]
+ * @param {string} [options.dir] - Snapshot directory
+ * @param {number} [options.retention=60] - Number of snapshots to keep
+ * @returns {string} - Path of the written snapshot
+ */
+export function writeSnapshot(output, { dir = DEFAULT_SNAPSHOT_DIR, retention = 60 } = {}) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const snapshotPath = path.join(dir, `notion-${output.fetchedAt.replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(snapshotPath, JSON.stringify(output, null, 2));
+
+  listSnapshots(dir)
+    .slice(0, -retention)
+    .forEach(oldPath => fs.unlinkSync(oldPath));
+
+  return snapshotPath;
+}
+
+/**
+ * List snapshot files, oldest first
+ *
+ * @param {string} [dir] - Snapshot directory
+ * @returns {Array<string>} - Snapshot paths
+ */
+export function listSnapshots(dir = DEFAULT_SNAPSHOT_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  // ISO timestamps sort lexically, so the file names do too
+  return fs.readdirSync(dir)
+    .filter(name => /^notion-.*\.json$/.test(name))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Load the snapshots taken before a given fetch, oldest first
+ *
+ * @param {string} fetchedAt - fetchedAt of the current data
+ * @param {object} [options]
+ * @param {string} [options.dir] - Snapshot directory
+ * @param {number} [options.limit] - Maximum number of snapshots to load (most recent)
+ * @returns {Array<object>} - Snapshot contents
+ */
+export function loadSnapshotsBefore(fetchedAt, { dir = DEFAULT_SNAPSHOT_DIR, limit = Infinity } = {}) {
+  const snapshots = listSnapshots(dir)
+    .map(snapshotPath => JSON.parse(fs.readFileSync(snapshotPath, 'utf-8')))
+    .filter(snapshot => snapshot.fetchedAt < fetchedAt);
+  return snapshots.slice(Math.max(0, snapshots.length - limit));
+}
+
+function itemsById(snapshot) {
+  return new Map(snapshot.items.map(item => [item.id, item]));
+}
+
+function isUnchanged(a, b) {
+  return TRACKED_FIELDS.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+}
+
+/**
+ * Compare the current data with earlier snapshots
+ *
+ * Classifications:
+ * - added: present now, absent from the previous snapshot
+ * - closed: present in the previous snapshot, absent now (done or filtered out)
+ * - statusChanged / priorityChanged: field differs from the previous snapshot
+ * - stale: unchanged across the last `staleRuns` snapshots including the current one
+ *
+ * @param {Array<object>} history - Earlier snapshots, oldest first (the last one is "previous")
+ * @param {object} current - Current data
+ * @param {object} [options]
+ * @param {number} [options.staleRuns=3] - Consecutive unchanged runs before an item is stale
+ * @returns {object|null} - Diff, or null when there is no previous snapshot
+ */
+export function diffSnapshots(history, current, { staleRuns = 3 } = {}) {
+  if (history.length === 0) {
+    return null;
+  }
+
+  const previous = history[history.length - 1];
+  const previousItems = itemsById(previous);
+  const currentItems = itemsById(current);
+
+  const diff = {
+    previousFetchedAt: previous.fetchedAt,
+    currentFetchedAt: current.fetchedAt,
+    added: [],
+    closed: [],
+    statusChanged: [],
+    priorityChanged: [],
+    stale: [],
+    staleRuns
+  };
+
+  currentItems.forEach((item, id) => {
+    const before = previousItems.get(id);
+    if (!before) {
+      diff.added.push(item);
+      return;
+    }
+    if (before.status !== item.status) {
+      diff.statusChanged.push({ item, from: before.status, to: item.status });
+    }
+    if (before.priority !== item.priority) {
+      diff.priorityChanged.push({ item, from: before.priority, to: item.priority });
+    }
+  });
+
+  previousItems.forEach((item, id) => {
+    if (!currentItems.has(id)) {
+      diff.closed.push(item);
+    }
+  });
+
+  // Stale needs staleRuns - 1 earlier snapshots in addition to the current data
+  const needed = Math.max(1, staleRuns - 1);
+  const window = history.slice(-needed).map(itemsById);
+  if (window.length === needed) {
+    currentItems.forEach((item, id) => {
+      if (window.every(snapshot => snapshot.has(id) && isUnchanged(snapshot.get(id), item))) {
+        diff.stale.push(item);
+      }
+    });
+  }
+
+  return diff;
+}
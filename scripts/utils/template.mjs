@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { escapeHtml } from './html.mjs';
+
+/**
+ * Report templates
+ *
+ * Minimal slot-based templating for the report files in templates/.
+ * A template marks named slots with double or triple braces:
+ * - {{name}}   inserts the value HTML-escaped with escapeHtml() (dates, labels)
+ * - {{{name}}} inserts the value as-is (pre-rendered HTML sections)
+ *
+ * Every slot in the template must be given a value, so a typo in either the
+ * template or the generator fails the run instead of leaving a hole in the
+ * report.
+ */
+
+const SLOT_PATTERN = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Read a template file
+ *
+ * @param {string} templatePath - Path to the template
+ * @returns {string} - Template source
+ */
+export function loadTemplate(templatePath) {
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template file not found: ${templatePath}`);
+  }
+  return fs.readFileSync(templatePath, 'utf-8');
+}
+
+/**
+ * List the slot names used by a template
+ *
+ * @param {string} template - Template source
+ * @returns {Array<string>} - Unique slot names, in order of first use
+ */
+export function templateSlots(template) {
+  const names = [...template.matchAll(SLOT_PATTERN)].map(match => match[1] || match[2]);
+  return [...new Set(names)];
+}
+
+/**
+ * Fill a template's slots
+ *
+ * @param {string} template - Template source
+ * @param {object} slots - Slot values by name (null/undefined render as empty)
+ * @param {string} [name='template'] - Template name (for error messages)
+ * @param {object} [options]
+ * @param {function(*): string} [options.escape=escapeHtml] - Escaping for {{name}} slots, for non-HTML output
+ * @returns {string} - Rendered output
+ */
+export function renderTemplate(template, slots, name = 'template', { escape = escapeHtml } = {}) {
+  const missing = templateSlots(template).filter(slot => !(slot in slots));
+  if (missing.length > 0) {
+    throw new Error(`No value for slot(s) ${missing.map(slot => `"${slot}"`).join(', ')} in ${name}`);
+  }
+
+  return template.replace(SLOT_PATTERN, (match, rawName, escapedName) => {
+    const value = slots[rawName || escapedName] ?? '';
+    return rawName ? String(value) : escape(value);
+  });
+}
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inlineCss, checkEmailHtml, fitEmailSize } from '../scripts/utils/email-html.mjs';
+
+// A document with one stylesheet, as generate-report.mjs writes it
+function page(css, body) {
+  return `<!DOCTYPE html><html><head><style>${css}</style></head><body>${body}</body></html>`;
+}
+
+function styleOf(html, id) {
+  const tag = html.match(new RegExp(`<[^>]*\\sid="${id}"[^>]*>`));
+  return tag && (tag[0].match(/\sstyle="([^"]*)"/) || [])[1];
+}
+
+test('inlineCss applies the more specific rule whatever the source order', () => {
+  const { html } = inlineCss(page(
+    '.card p { color: red; } p { color: blue; }',
+    '<div class="card"><p id="inside">a</p></div><p id="outside">b</p>'
+  ));
+  assert.equal(styleOf(html, 'inside'), 'color: red;');
+  assert.equal(styleOf(html, 'outside'), 'color: blue;');
+});
+
+test('inlineCss lets the later rule win between equal specificities', () => {
+  const { html } = inlineCss(page('.a { color: red; } .b { color: blue; }', '<p id="x" class="a b">x</p>'));
+  assert.equal(styleOf(html, 'x'), 'color: blue;');
+});
+
+test('inlineCss matches child combinators only on direct children', () => {
+  const { html } = inlineCss(page(
+    '.list > li { margin: 0; }',
+    '<ul class="list"><li id="direct">a<ul><li id="nested">b</li></ul></li></ul>'
+  ));
+  assert.equal(styleOf(html, 'direct'), 'margin: 0;');
+  assert.equal(styleOf(html, 'nested'), undefined);
+});
+
+test('inlineCss keeps style attributes over stylesheet rules unless !important', () => {
+  const { html } = inlineCss(page(
+    'p { color: red; font-size: 12px !important; }',
+    '<p id="x" style="color: green; font-size: 20px;">x</p>'
+  ));
+  assert.equal(styleOf(html, 'x'), 'color: green; font-size: 12px !important;');
+});
+
+test('inlineCss resolves custom properties and their fallbacks', () => {
+  const { html } = inlineCss(page(
+    ':root { --accent: #2980b9; } .a { color: var(--accent); border-color: var(--missing, #ccc); }',
+    '<p id="x" class="a" style="background: var(--accent);">x</p>'
+  ));
+  assert.equal(styleOf(html, 'x'), 'color: #2980b9; border-color: #ccc; background: #2980b9;');
+});
+
+test('inlineCss drops at-rules and pseudo-classes and reports them', () => {
+  const { html, dropped } = inlineCss(page(
+    '@media (max-width: 600px) { p { color: red; } } @font-face { font-family: X; } a:hover { color: red; } p { margin: 0; }',
+    '<p id="x">x</p>'
+  ));
+  assert.equal(styleOf(html, 'x'), 'margin: 0;');
+  assert.deepEqual(dropped, ['@media (max-width: 600px)', '@font-face', 'a:hover']);
+});
+
+test('inlineCss removes the style blocks and stylesheet links and leaves SVG alone', () => {
+  const { html } = inlineCss(page(
+    'rect { fill: red; } p { margin: 0; }',
+    '<link rel="stylesheet" href="https://fonts.example.com/css"><svg><rect id="bar" width="1" height="1"/></svg>'
+  ));
+  assert.doesNotMatch(html, /<style\b/);
+  assert.doesNotMatch(html, /<link\b/);
+  assert.equal(styleOf(html, 'bar'), undefined);
+});
+
+test('inlineCss output passes checkEmailHtml', () => {
+  const { html } = inlineCss(page(':root { --c: red; } .a { color: var(--c); }', '<p class="a">x</p>'));
+  assert.deepEqual(checkEmailHtml(html), { errors: [], warnings: [] });
+});
+
+test('checkEmailHtml rejects unsafe constructs', () => {
+  const { errors } = checkEmailHtml([
+    '<script>alert(1)</script>',
+    '<iframe src="https://example.com"></iframe>',
+    '<img src="x.png" onerror="alert(1)">',
+    '<a href="javascript:alert(1)">a</a>',
+    '<img src="data:image/png;base64,AAAA">',
+    '<style>p { color: red; }</style>',
+    '<link rel="stylesheet" href="a.css">',
+    '<p style="color: var(--c);">x</p>'
+  ].join('\n'));
+  assert.deepEqual(errors, [
+    '<script> elements (1 found)',
+    'interactive or embedded elements (iframe, object, embed, form controls) (1 found)',
+    'inline event handler attributes (onclick, onerror, ...) (1 found)',
+    'javascript:, vbscript: or data: URLs (2 found)',
+    '<style> blocks left after inlining (1 found)',
+    'external stylesheets (1 found)',
+    'CSS custom properties (var(--...)) (1 found)'
+  ]);
+});
+
+test('checkEmailHtml warns about constructs some clients ignore', () => {
+  const { errors, warnings } = checkEmailHtml(
+    '<div style="display: flex;"><p style="position: absolute;">x</p><svg></svg><td style="background: url(x.png);"></td></div>'
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(warnings.length, 4);
+});
+
+test('checkEmailHtml rejects messages Gmail would clip', () => {
+  const { errors } = checkEmailHtml(`<p>${'x'.repeat(103 * 1024)}</p>`);
+  assert.deepEqual(errors, ['message is 103 KB; Gmail clips messages over 102 KB']);
+});
+
+test('fitEmailSize removes indentation outside preformatted elements', () => {
+  const note = '<div class="issue-note" style="white-space: pre-line;">Steps:\n  1. Deploy\n    - check logs</div>';
+  const pre = '<pre>a\n    b</pre>';
+  const { html, shortened } = fitEmailSize(`<body>\n    <p>x</p>\n    ${note}\n    ${pre}\n</body>`);
+  assert.equal(html, `<body>\n<p>x</p>\n${note}\n${pre}\n</body>`);
+  assert.equal(shortened, false);
+});
+
+test('fitEmailSize leaves out item notes when the message is too large', () => {
+  const notes = '<div class="issue-note" style="margin: 8px 0;">A long update</div>'.repeat(20);
+  const { html, shortened } = fitEmailSize(`<body><div class="content"><h1>Report</h1>${notes}</div></body>`, 500);
+  assert.equal(shortened, true);
+  assert.doesNotMatch(html, /issue-note/);
+  assert.match(html, /<div class="content">\n<p [^>]*>Item notes are left out of this email/);
+});
+
+test('fitEmailSize keeps item notes that fit', () => {
+  const html = '<body><div class="issue-note">Short</div></body>';
+  assert.deepEqual(fitEmailSize(html), { html, shortened: false });
+});
@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ROOT, createWorkDir, runScript, readOutput } from './helpers.mjs';
+
+/**
+ * Runs the whole pipeline without credentials: fetch-notion-data.mjs
+ * replaying the sample board in data/fixtures/notion, generate-report.mjs
+ * with every format, then send-email.mjs --dry-run, and a send to the file
+ * transport with no browser for the PNG charts.
+ */
+
+const FORMATS = ['html', 'markdown', 'text', 'json', 'csv'];
+const UNSUBSCRIBE = 'mailto:status-reports@example.com?subject=Unsubscribe';
+
+let workDir;
+let fetchLog;
+let sendLog;
+
+before(() => {
+  workDir = createWorkDir('fixture-pipeline');
+  const config = {
+    NOTION_MAPPING_PATH: path.join(ROOT, 'config', 'notion-mapping.json'),
+    NOTION_QUERY_PATH: path.join(ROOT, 'config', 'notion-query.json'),
+    REPORT_CONFIG_PATH: path.join(ROOT, 'config', 'report.json'),
+    REPORT_TEMPLATE_PATH: path.join(ROOT, 'templates', 'status-report', 'report.html')
+  };
+
+  fetchLog = runScript(workDir, 'fetch-notion-data.mjs', ['--with-content'], {
+    ...config,
+    NOTION_REPLAY_DIR: path.join(ROOT, 'data', 'fixtures', 'notion'),
+    NOTION_DATABASE_ID: 'fixture-product-features'
+  });
+  runScript(workDir, 'generate-report.mjs', ['--format', FORMATS.join(',')], config);
+  sendLog = runScript(workDir, 'send-email.mjs', ['--dry-run'], {
+    EMAIL_RECIPIENTS: 'team@example.com',
+    EMAIL_RECIPIENTS_CBB: 'cbb@example.com',
+    EMAIL_RECIPIENTS_DLC: 'dlc@example.com',
+    EMAIL_RECIPIENTS_WISE_LOAN: 'wise-loan@example.com',
+    EMAIL_CHART_IMAGES: 'text',
+    EMAIL_UNSUBSCRIBE: UNSUBSCRIBE
+  });
+
+  fs.writeFileSync(path.join(workDir, 'recipients.json'), JSON.stringify({
+    groups: {
+      leadership: { members: ['Pat Lee <pat@example.com>'] },
+      cbb: { delivery: 'individual', greeting: 'Hi {{firstName}},', members: [{ email: 'alex@cbb.example.com', name: 'Alex Kim' }] }
+    },
+    reports: { internal: ['leadership'], cbb: ['cbb'] },
+    unsubscribe: 'https://example.com/unsubscribe?list=status'
+  }));
+  runScript(workDir, 'send-email.mjs', ['--dry-run'], {
+    EMAIL_RECIPIENTS_PATH: path.join(workDir, 'recipients.json'),
+    EMAIL_PREVIEW_DIR: path.join(workDir, 'outbox', 'recipients-file'),
+    EMAIL_CHART_IMAGES: 'text'
+  });
+
+  // The default PNG charts, with no browser Playwright can launch
+  const noBrowser = { EMAIL_RECIPIENTS: 'team@example.com', PLAYWRIGHT_BROWSERS_PATH: path.join(workDir, 'no-browsers') };
+  runScript(workDir, 'send-email.mjs', ['--dry-run'], { ...noBrowser, EMAIL_PREVIEW_DIR: path.join(workDir, 'outbox', 'svg-preview') });
+  runScript(workDir, 'send-email.mjs', [], { ...noBrowser, EMAIL_TRANSPORT: 'file', EMAIL_OUTBOX_DIR: path.join(workDir, 'outbox', 'sent') });
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('replayed fetch writes every fixture item with its notes', () => {
+  const rawData = JSON.parse(readOutput(workDir, 'data/notion-raw.json'));
+  assert.equal(rawData.itemCount, 5);
+  assert.deepEqual(rawData.items.map(item => item.client).sort(), ['CBB', 'CBB', 'DLC', 'DLC', 'WL']);
+  assert.ok(rawData.items.every(item => item.latestNote), 'every item has a latest note');
+  assert.match(fetchLog, /Replaying recorded responses/);
+});
+
+test('generate-report writes every format for every variant', () => {
+  const manifest = JSON.parse(readOutput(workDir, 'reports/manifest.json'));
+  assert.deepEqual(
+    manifest.variants.map(variant => [variant.id, variant.itemCount]),
+    [['internal', 5], ['cbb', 2], ['dlc', 2], ['wise-loan', 1]]
+  );
+  manifest.variants.forEach(variant => {
+    assert.deepEqual(Object.keys(variant.outputs), FORMATS);
+    Object.values(variant.outputs).forEach(file => {
+      assert.ok(fs.existsSync(path.join(workDir, file)), `${file} exists`);
+    });
+  });
+});
+
+test('the formats agree on the items', () => {
+  const summary = JSON.parse(readOutput(workDir, 'reports/internal.json'));
+  const csvRows = readOutput(workDir, 'reports/internal.csv').trim().split('\n').slice(1);
+  const markdown = readOutput(workDir, 'reports/internal.md');
+  assert.equal(csvRows.length, 5);
+  assert.equal(summary.itemCount, 5);
+  ['Loan Application Redesign', 'Payment Portal Timeout Fix', 'Dashboard Performance Audit'].forEach(name => {
+    assert.ok(markdown.includes(name), `markdown lists ${name}`);
+  });
+});
+
+test('send-email --dry-run writes one message per variant to its recipients', () => {
+  assert.match(sendLog, /wrote 4 message\(s\) for 4 report\(s\)/);
+  [
+    ['internal', 'team@example.com', 'Product Status Update'],
+    ['cbb', 'cbb@example.com', 'CBB Product Status Update'],
+    ['dlc', 'dlc@example.com', 'DLC Product Status Update'],
+    ['wise-loan', 'wise-loan@example.com', 'Wise Loan Product Status Update']
+  ].forEach(([id, recipient, subject]) => {
+    const message = readOutput(workDir, `outbox/preview/${id}.eml`);
+    assert.match(message, new RegExp(`^Bcc: ${recipient}\\r?$`, 'm'));
+    assert.match(message, new RegExp(`^Subject: ${subject} - `, 'm'));
+    assert.doesNotMatch(message, /<svg\b/i, 'charts are sent as text');
+  });
+});
+
+function assertUnsubscribe(message, url) {
+  const headers = message.slice(0, message.search(/\r?\n\r?\n/));
+  assert.ok(headers.split(/\r?\n/).includes(`List-Unsubscribe: <${url}>`), 'List-Unsubscribe header');
+  // The HTML and text parts are quoted-printable; undo the soft line breaks
+  const body = message.replace(/=\r?\n/g, '').replace(/=3D/g, '=');
+  assert.ok(body.includes(`>Unsubscribe</a>`), 'HTML part has an unsubscribe link');
+  assert.ok(body.includes(`Unsubscribe: ${url}`), 'text part has the unsubscribe link');
+}
+
+test('EMAIL_UNSUBSCRIBE adds the header and footer link to the EMAIL_RECIPIENTS messages', () => {
+  ['internal', 'cbb'].forEach(id => {
+    assertUnsubscribe(readOutput(workDir, `outbox/preview/${id}.eml`), UNSUBSCRIBE);
+  });
+});
+
+test('the recipients file unsubscribe link is added to every delivery mode', () => {
+  const url = 'https://example.com/unsubscribe?list=status';
+  assertUnsubscribe(readOutput(workDir, 'outbox/recipients-file/internal.eml'), url);
+  assertUnsubscribe(readOutput(workDir, 'outbox/recipients-file/cbb.eml'), url);
+  assert.ok(readOutput(workDir, 'outbox/recipients-file/cbb.html').includes('Hi Alex,'));
+});
+
+test('send-email --dry-run keeps the SVG charts without starting a browser', () => {
+  const message = readOutput(workDir, 'outbox/svg-preview/internal.eml');
+  assert.match(message, /^Content-Type: image\/svg\+xml/m);
+});
+
+test('send-email sends the chart data as text when the browser cannot be launched', () => {
+  const dir = path.join(workDir, 'outbox', 'sent');
+  const files = fs.readdirSync(dir);
+  assert.equal(files.length, 1);
+  const message = fs.readFileSync(path.join(dir, files[0]), 'utf-8').replace(/=\r?\n/g, '');
+  assert.doesNotMatch(message, /^Content-Type: image\/(svg\+xml|png)/m);
+  assert.ok(message.includes('Items by client: CBB: 2, DLC: 2, Wise Loan: 1'), 'chart data is sent as text');
+});
@@ -0,0 +1,61 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Test helpers
+ *
+ * The pipeline scripts read and write relative to the working directory,
+ * so tests run them in a temporary directory with config paths pointing
+ * back into the repository.
+ */
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Create an empty working directory for a test run
+ *
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} - Absolute path
+ */
+export function createWorkDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+}
+
+/**
+ * Run a script from scripts/ in a working directory
+ * Only PATH and the given variables are set, so a developer's .env or
+ * shell does not leak recipients or tokens into the run.
+ *
+ * @param {string} workDir - Working directory
+ * @param {string} script - Script file name, e.g. "generate-report.mjs"
+ * @param {Array<string>} args - Command-line arguments
+ * @param {object} env - Environment variables
+ * @returns {string} - Standard output
+ * @throws {Error} When the script exits non-zero; the message includes its stderr
+ */
+export function runScript(workDir, script, args, env) {
+  try {
+    return execFileSync(process.execPath, [path.join(ROOT, 'scripts', script), ...args], {
+      cwd: workDir,
+      env: { PATH: process.env.PATH, HOME: workDir, ...env },
+      encoding: 'utf-8',
+      stdio: 'pipe'
+    });
+  } catch (error) {
+    throw new Error(`${script} failed:\n${error.stderr || error.message}`);
+  }
+}
+
+/**
+ * Read a file from a working directory
+ *
+ * @param {string} workDir - Working directory
+ * @param {string} file - Path relative to workDir
+ * @returns {string}
+ */
+export function readOutput(workDir, file) {
+  return fs.readFileSync(path.join(workDir, file), 'utf-8');
+}
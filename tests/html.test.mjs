@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, sanitizeText, safeUrl } from '../scripts/utils/html.mjs';
+import { renderTemplate } from '../scripts/utils/template.mjs';
+
+test('escapeHtml escapes markup and both quote styles', () => {
+  assert.equal(
+    escapeHtml(`<img src=x onerror="alert('1')"> & more`),
+    '&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt; &amp; more'
+  );
+});
+
+test('escapeHtml turns null and undefined into empty strings and stringifies the rest', () => {
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('escapeHtml strips bidi overrides and control characters', () => {
+  assert.equal(escapeHtml('invoice\u202Efdp.exe\u0007'), 'invoicefdp.exe');
+});
+
+test('sanitizeText removes control and invisible formatting characters', () => {
+  assert.equal(sanitizeText('a\u0000b\u001Fc\u007Fd\u0085e'), 'abcde');
+  assert.equal(sanitizeText('zero\u200Bwidth\uFEFF'), 'zerowidth');
+  assert.equal(sanitizeText('\u2066isolated\u2069 \u202Aembedded\u202C'), 'isolated embedded');
+});
+
+test('sanitizeText keeps tabs, newlines and markup', () => {
+  assert.equal(sanitizeText('a\tb\nc <b>'), 'a\tb\nc <b>');
+});
+
+test('sanitizeText normalizes to NFC', () => {
+  assert.equal(sanitizeText('Cafe\u0301'), 'Caf\u00E9');
+});
+
+test('safeUrl allows http, https and mailto links', () => {
+  assert.equal(safeUrl('https://www.notion.so/Page-123'), 'https://www.notion.so/Page-123');
+  assert.equal(safeUrl('http://example.com/'), 'http://example.com/');
+  assert.equal(safeUrl('mailto:team@example.com'), 'mailto:team@example.com');
+});
+
+test('safeUrl rejects other schemes and relative URLs', () => {
+  assert.equal(safeUrl('javascript:alert(1)'), null);
+  assert.equal(safeUrl(' JavaScript:alert(1)'), null);
+  assert.equal(safeUrl('java\u200Bscript:alert(1)'), null);
+  assert.equal(safeUrl('data:text/html,<script>alert(1)</script>'), null);
+  assert.equal(safeUrl('vbscript:msgbox(1)'), null);
+  assert.equal(safeUrl('/relative/path'), null);
+  assert.equal(safeUrl(''), null);
+  assert.equal(safeUrl(null), null);
+});
+
+test('safeUrl escapes the URL for an attribute', () => {
+  assert.equal(safeUrl('https://example.com/?a=1&b="x"'), 'https://example.com/?a=1&amp;b=%22x%22');
+  assert.equal(safeUrl("https://example.com/it's"), 'https://example.com/it&#39;s');
+});
+
+test('renderTemplate escapes double-brace slots and inserts triple-brace slots as-is', () => {
+  const output = renderTemplate('<h1>{{title}}</h1>{{{ body }}}', {
+    title: '<script>alert(1)</script>',
+    body: '<p>Report</p>'
+  });
+  assert.equal(output, '<h1>&lt;script&gt;alert(1)&lt;/script&gt;</h1><p>Report</p>');
+});
+
+test('renderTemplate renders null and undefined as empty', () => {
+  assert.equal(renderTemplate('[{{a}}][{{{b}}}]', { a: null, b: undefined }), '[][]');
+});
+
+test('renderTemplate fails on slots without a value', () => {
+  assert.throws(
+    () => renderTemplate('{{title}} {{{body}}} {{title}}', {}, 'report.html'),
+    { message: 'No value for slot(s) "title", "body" in report.html' }
+  );
+});
@@ -0,0 +1,161 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { createMailTransport, formatAddress } from '../scripts/utils/mail-transport.mjs';
+import { toAddress } from '../scripts/utils/recipients.mjs';
+import { createWorkDir } from './helpers.mjs';
+
+/**
+ * Sends a message with named recipients (as send-email.mjs builds them with
+ * toAddress()) through each transport: SMTP against a minimal local server,
+ * Resend and SES with a stubbed fetch, and the file transport.
+ */
+
+const FROM = 'reports@example.com';
+const message = {
+  from: FROM,
+  to: toAddress({ email: 'pat@example.com', name: 'Pat Lee' }),
+  bcc: [toAddress({ email: 'sam@example.com', name: 'Sam "S" Ortiz' }), toAddress({ email: 'kim@example.com' })],
+  subject: 'Status',
+  text: 'Hello',
+  html: '<p>Hello</p>'
+};
+
+const realFetch = globalThis.fetch;
+let requests = [];
+
+function stubFetch(responseBody) {
+  requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, body: JSON.parse(options.body) });
+    return new Response(JSON.stringify(responseBody), { status: 200 });
+  };
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Accepts one connection's worth of mail and records the envelope and data
+function startSmtpServer() {
+  const received = { recipients: [], data: '' };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf-8');
+      let index;
+      while ((index = inData ? buffer.indexOf('\r\n.\r\n') : buffer.indexOf('\r\n')) !== -1) {
+        if (inData) {
+          received.data = buffer.substring(0, index);
+          buffer = buffer.substring(index + 5);
+          inData = false;
+          socket.write('250 OK queued\r\n');
+          continue;
+        }
+        const line = buffer.substring(0, index);
+        buffer = buffer.substring(index + 2);
+        if (/^(EHLO|HELO)/i.test(line)) socket.write('250 localhost\r\n');
+        else if (/^MAIL FROM/i.test(line)) socket.write('250 OK\r\n');
+        else if (/^RCPT TO:<([^>]+)>/i.test(line)) {
+          received.recipients.push(line.match(/<([^>]+)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received })));
+}
+
+let outboxDir;
+
+before(() => {
+  outboxDir = createWorkDir('mail-transport');
+});
+
+after(() => {
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+});
+
+test('formatAddress quotes names and leaves plain addresses alone', () => {
+  assert.equal(formatAddress({ name: 'Pat Lee', address: 'pat@example.com' }), '"Pat Lee" <pat@example.com>');
+  assert.equal(formatAddress({ name: 'Sam "S" Ortiz', address: 'sam@example.com' }), '"Sam \\"S\\" Ortiz" <sam@example.com>');
+  assert.equal(formatAddress({ address: 'kim@example.com' }), 'kim@example.com');
+  assert.equal(formatAddress(' kim@example.com '), 'kim@example.com');
+});
+
+test('smtp transport sends to every named recipient', async () => {
+  const { server, received } = await startSmtpServer();
+  try {
+    const transport = createMailTransport('smtp', {
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(server.address().port),
+      SMTP_SECURE: 'false',
+      EMAIL_FROM: FROM
+    });
+    await transport.send(message);
+    assert.deepEqual(received.recipients, ['pat@example.com', 'sam@example.com', 'kim@example.com']);
+    assert.match(received.data, /^To: Pat Lee <pat@example\.com>\r?$/m);
+    assert.doesNotMatch(received.data, /^Bcc:/m);
+  } finally {
+    server.close();
+  }
+});
+
+test('resend transport posts named recipients as strings', async () => {
+  stubFetch({ id: 'resend-1' });
+  const transport = createMailTransport('resend', { RESEND_API_KEY: 'key', EMAIL_FROM: FROM });
+  await transport.send(message);
+  const { body } = requests[0];
+  assert.deepEqual(body.to, ['"Pat Lee" <pat@example.com>']);
+  assert.deepEqual(body.bcc, ['"Sam \\"S\\" Ortiz" <sam@example.com>', 'kim@example.com']);
+  assert.equal(body.from, FROM);
+});
+
+test('resend transport accepts a comma-separated string', async () => {
+  stubFetch({ id: 'resend-2' });
+  const transport = createMailTransport('resend', { RESEND_API_KEY: 'key', EMAIL_FROM: FROM });
+  await transport.send({ ...message, to: 'a@example.com, b@example.com', bcc: undefined });
+  assert.deepEqual(requests[0].body.to, ['a@example.com', 'b@example.com']);
+});
+
+test('ses transport puts every named recipient in the envelope', async () => {
+  stubFetch({ MessageId: 'ses-1' });
+  const transport = createMailTransport('ses', {
+    AWS_REGION: 'us-east-1',
+    AWS_ACCESS_KEY_ID: 'id',
+    AWS_SECRET_ACCESS_KEY: 'secret',
+    EMAIL_FROM: FROM
+  });
+  await transport.send(message);
+  const { body } = requests[0];
+  assert.deepEqual(body.Destination.ToAddresses, ['pat@example.com', 'sam@example.com', 'kim@example.com']);
+  const raw = Buffer.from(body.Content.Raw.Data, 'base64').toString('utf-8');
+  assert.match(raw, /^To: Pat Lee <pat@example\.com>\r?$/m);
+  assert.doesNotMatch(raw, /^Bcc:/m);
+});
+
+test('file transport writes the named recipient into the message', async () => {
+  const transport = createMailTransport('file', { EMAIL_OUTBOX_DIR: outboxDir });
+  const result = await transport.send(message);
+  const raw = fs.readFileSync(result.response.replace(/^written to /, ''), 'utf-8');
+  assert.match(raw, /^To: Pat Lee <pat@example\.com>\r?$/m);
+});
+
+test('file transport keeps every message sent back to back', async () => {
+  const dir = path.join(outboxDir, 'burst');
+  const transport = createMailTransport('file', { EMAIL_OUTBOX_DIR: dir });
+  const ids = [];
+  for (let i = 0; i < 20; i++) {
+    ids.push((await transport.send(message)).id);
+  }
+  assert.equal(new Set(ids).size, 20);
+  assert.equal(fs.readdirSync(dir).length, 20);
+});
@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createNotionClient } from '../scripts/utils/notion-client.mjs';
+
+/**
+ * Points the client at a local stub server (as NOTION_API_BASE_URL does) and
+ * checks retries, backoff, Retry-After, timeouts and the rate limit. Each
+ * test scripts the stub's responses in order; the last one repeats.
+ */
+
+let server;
+let baseUrl;
+let responses;
+let received;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    received.push({ method: req.method, url: req.url, at: Date.now(), socket: req.socket });
+    const { status = 200, headers = {}, body = {}, delayMs = 0 } = responses.length > 1 ? responses.shift() : responses[0];
+    setTimeout(() => {
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    }, delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  responses = [{}];
+  received = [];
+});
+
+// Fast settings; a distinct token per client, since rate limiters are shared by token
+let clients = 0;
+function client(options = {}) {
+  clients++;
+  return createNotionClient({
+    token: `test-token-${clients}`,
+    baseUrl,
+    requestsPerSecond: 1000,
+    baseDelayMs: 10,
+    maxDelayMs: 100,
+    ...options
+  });
+}
+
+test('retries 5xx and 429 responses until one succeeds', async () => {
+  responses = [{ status: 503 }, { status: 429 }, { status: 200, body: { id: 'page-1' } }];
+  const notion = client();
+  const page = await notion.getPage('page-1');
+  assert.deepEqual(page, { id: 'page-1' });
+  assert.equal(received.length, 3);
+  assert.deepEqual(notion.retryLog.map(entry => [entry.attempt, entry.reason]), [[1, 'HTTP 503'], [2, 'HTTP 429']]);
+});
+
+test('backs off exponentially with full jitter up to the ceiling', async () => {
+  responses = [{ status: 500 }, { status: 500 }, { status: 500 }, { status: 500 }, { status: 200 }];
+  const notion = client({ baseDelayMs: 20, maxDelayMs: 50 });
+  await notion.getPage('page-1');
+  const delays = notion.retryLog.map(entry => entry.delayMs);
+  assert.equal(delays.length, 4);
+  [20, 40, 50, 50].forEach((ceiling, i) => {
+    assert.ok(delays[i] >= 0 && delays[i] <= ceiling, `retry ${i + 1} waits ${delays[i]}ms, at most ${ceiling}ms`);
+  });
+});
+
+test('waits as long as Retry-After says', async () => {
+  responses = [{ status: 429, headers: { 'retry-after': '1' } }, { status: 200 }];
+  const notion = client({ maxDelayMs: 5000 });
+  await notion.getPage('page-1');
+  assert.equal(notion.retryLog[0].delayMs, 1000);
+  assert.ok(received[1].at - received[0].at >= 950, 'second attempt waited for Retry-After');
+});
+
+test('caps Retry-After at the backoff ceiling', async () => {
+  responses = [{ status: 429, headers: { 'retry-after': '30' } }, { status: 200 }];
+  const notion = client({ maxDelayMs: 50 });
+  await notion.getPage('page-1');
+  assert.equal(notion.retryLog[0].delayMs, 50);
+});
+
+test('gives up after maxRetries with the last status on the error', async () => {
+  responses = [{ status: 502, body: { message: 'bad gateway' } }];
+  const notion = client({ maxRetries: 2 });
+  await assert.rejects(notion.getPage('page-1'), error => {
+    assert.equal(error.status, 502);
+    assert.match(error.message, /^GET \/pages\/page-1 failed after 3 attempts: HTTP 502 .*bad gateway/);
+    return true;
+  });
+  assert.equal(received.length, 3);
+});
+
+test('does not retry other error statuses', async () => {
+  responses = [{ status: 404, body: { message: 'not found' } }];
+  const notion = client();
+  await assert.rejects(notion.getPage('page-1'), { status: 404 });
+  assert.equal(received.length, 1);
+  assert.equal(notion.retryLog.length, 0);
+});
+
+test('reads retried responses so the connection is reused', async () => {
+  // Bodies too large to be buffered along with the headers
+  const body = { message: 'x'.repeat(512 * 1024) };
+  responses = [{ status: 503, body }, { status: 503, body }, { status: 200 }];
+  await client().getPage('page-1');
+  assert.equal(received.length, 3);
+  assert.equal(new Set(received.map(request => request.socket)).size, 1);
+});
+
+test('retries requests that time out', async () => {
+  responses = [{ delayMs: 300 }, { status: 200, body: { id: 'page-1' } }];
+  const notion = client({ timeoutMs: 100 });
+  assert.deepEqual(await notion.getPage('page-1'), { id: 'page-1' });
+  assert.equal(notion.retryLog[0].reason, 'timeout after 100ms');
+});
+
+test('leaves the status unset when the last attempt timed out', async () => {
+  responses = [{ delayMs: 300 }];
+  const notion = client({ timeoutMs: 100, maxRetries: 1 });
+  await assert.rejects(notion.getPage('page-1'), error => {
+    assert.equal(error.status, undefined);
+    assert.match(error.message, /failed after 2 attempts: timeout after 100ms/);
+    return true;
+  });
+});
+
+test('spaces requests to stay within the rate limit', async () => {
+  const notion = client({ requestsPerSecond: 10 });
+  await Promise.all([1, 2, 3, 4, 5].map(i => notion.getPage(`page-${i}`)));
+  const gaps = received.slice(1).map((request, i) => request.at - received[i].at);
+  // 100ms apart, allowing for timer granularity
+  gaps.forEach(gap => assert.ok(gap >= 90, `requests ${gap}ms apart`));
+});
+
+test('clients for the same token share one rate limit', async () => {
+  const token = 'shared-token';
+  const first = client({ token, requestsPerSecond: 10 });
+  const second = client({ token, requestsPerSecond: 10 });
+  await Promise.all([first.getPage('a'), second.getPage('b'), first.getPage('c'), second.getPage('d')]);
+  const span = received[received.length - 1].at - received[0].at;
+  assert.ok(span >= 270, `four requests took ${span}ms`);
+});
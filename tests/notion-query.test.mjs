@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQuery, editedSinceQuery } from '../scripts/utils/notion-query.mjs';
+
+const mapping = {
+  fields: {
+    name: { property: 'Name' },
+    client: { property: 'Client' },
+    status: { property: 'Status' },
+    tags: { property: 'Tags' },
+    dueDate: { property: 'Due Date' }
+  }
+};
+
+const dbProperties = {
+  'Name': { type: 'title', title: {} },
+  'Client': { type: 'select', select: { options: [{ name: 'CBB' }, { name: 'WL' }, { name: 'wl' }, { name: 'Wise Loan' }] } },
+  'Status': { type: 'status', status: { options: [{ name: 'In progress' }, { name: 'Done' }, { name: 'Icebox' }] } },
+  'Tags': { type: 'multi_select', multi_select: { options: [{ name: 'Backend' }] } },
+  'Due Date': { type: 'date', date: {} },
+  'Files': { type: 'files', files: {} }
+};
+
+const reportValues = { clients: ['CBB', 'Wise Loan', 'WL'], excludedStatuses: ['Done', 'Icebox'] };
+const now = new Date('2026-03-10T12:00:00.000Z');
+
+function query(spec) {
+  return buildQuery(spec, { mapping, dbProperties, now, reportValues });
+}
+
+test('buildQuery returns an empty body without a spec', () => {
+  assert.deepEqual(buildQuery(null, { mapping, dbProperties }), {});
+});
+
+test('in and notIn expand to or/and conditions on select and status properties', () => {
+  assert.deepEqual(query({ filter: { field: 'client', in: ['CBB', 'Wise Loan'] } }).filter, {
+    or: [
+      { property: 'Client', select: { equals: 'CBB' } },
+      { property: 'Client', select: { equals: 'Wise Loan' } }
+    ]
+  });
+  assert.deepEqual(query({ filter: { field: 'status', notIn: ['Done'] } }).filter, {
+    and: [{ property: 'Status', status: { does_not_equal: 'Done' } }]
+  });
+});
+
+test('list properties use contains and does_not_contain', () => {
+  assert.deepEqual(query({ filter: { field: 'tags', in: ['Backend', 'Frontend'] } }).filter, {
+    or: [
+      { property: 'Tags', multi_select: { contains: 'Backend' } },
+      { property: 'Tags', multi_select: { contains: 'Frontend' } }
+    ]
+  });
+  assert.deepEqual(query({ filter: { field: 'tags', notIn: ['Backend'] } }).filter, {
+    and: [{ property: 'Tags', multi_select: { does_not_contain: 'Backend' } }]
+  });
+  assert.deepEqual(query({ filter: { field: 'tags', equals: 'Backend' } }).filter, {
+    property: 'Tags', multi_select: { contains: 'Backend' }
+  });
+});
+
+test('in and notIn match the schema options ignoring case, like the report', () => {
+  assert.deepEqual(query({ filter: { field: 'client', in: ['wl', 'wise loan', 'New Client'] } }).filter, {
+    or: [
+      { property: 'Client', select: { equals: 'WL' } },
+      { property: 'Client', select: { equals: 'wl' } },
+      { property: 'Client', select: { equals: 'Wise Loan' } },
+      { property: 'Client', select: { equals: 'New Client' } }
+    ]
+  });
+  assert.deepEqual(query({ filter: { field: 'status', notIn: ['done'] } }).filter, {
+    and: [{ property: 'Status', status: { does_not_equal: 'Done' } }]
+  });
+  assert.deepEqual(query({ filter: { field: 'client', equals: 'cbb' } }).filter, {
+    property: 'Client', select: { equals: 'cbb' }
+  });
+});
+
+test('fromReport values come from the report config', () => {
+  const { filter } = query({
+    filter: {
+      and: [
+        { field: 'client', in: { fromReport: 'clients' } },
+        { field: 'status', notIn: { fromReport: 'excludedStatuses' } }
+      ]
+    }
+  });
+  assert.deepEqual(filter, {
+    and: [
+      {
+        or: [
+          { property: 'Client', select: { equals: 'CBB' } },
+          { property: 'Client', select: { equals: 'Wise Loan' } },
+          { property: 'Client', select: { equals: 'WL' } },
+          { property: 'Client', select: { equals: 'wl' } }
+        ]
+      },
+      // notIn's "and" is spliced into the parent to stay within Notion's two levels
+      { property: 'Status', status: { does_not_equal: 'Done' } },
+      { property: 'Status', status: { does_not_equal: 'Icebox' } }
+    ]
+  });
+});
+
+test('fromReport needs the report config and a known name', () => {
+  assert.throws(
+    () => buildQuery({ filter: { field: 'client', in: { fromReport: 'clients' } } }, { mapping, dbProperties }),
+    { message: 'filter: "fromReport" needs the report config (config/report.json)' }
+  );
+  assert.throws(
+    () => query({ filter: { field: 'client', in: { fromReport: 'owners' } } }),
+    { message: 'filter: unknown "fromReport" value "owners" (expected clients or excludedStatuses)' }
+  );
+});
+
+test('relative dates count back from now', () => {
+  assert.deepEqual(query({ filter: { timestamp: 'last_edited_time', onOrAfter: '-7d' } }).filter, {
+    timestamp: 'last_edited_time',
+    last_edited_time: { on_or_after: '2026-03-03T12:00:00.000Z' }
+  });
+  assert.deepEqual(query({ filter: { field: 'dueDate', before: '-12h' } }).filter, {
+    property: 'Due Date', date: { before: '2026-03-10T00:00:00.000Z' }
+  });
+  assert.deepEqual(query({ filter: { field: 'dueDate', after: '2026-01-01' } }).filter, {
+    property: 'Due Date', date: { after: '2026-01-01' }
+  });
+});
+
+test('invalid conditions name their place in the spec', () => {
+  assert.throws(() => query({ filter: { field: 'dueDate', before: 'soon' } }), { message: 'filter: invalid date "soon"' });
+  assert.throws(
+    () => query({ filter: { or: [{ field: 'client', before: '-1d' }] } }),
+    { message: 'filter.or[0]: "before" only applies to date properties, but "Client" is "select"' }
+  );
+  assert.throws(() => query({ filter: { field: 'owner', equals: 'x' } }), { message: 'filter: field "owner" is not defined in the property mapping' });
+  assert.throws(() => query({ filter: { property: 'Team', equals: 'x' } }), { message: 'filter: property "Team" does not exist in the database' });
+  assert.throws(() => query({ filter: { property: 'Files', isEmpty: true } }), { message: 'filter: property "Files" has type "files", which cannot be filtered' });
+  assert.throws(() => query({ filter: { field: 'client', in: [] } }), { message: 'filter: "in"/"notIn" expects a non-empty array' });
+  assert.throws(() => query({ filter: { field: 'client', equals: 'CBB', notEquals: 'WL' } }), /filter: expected exactly one operator/);
+  assert.throws(() => query({ filter: { timestamp: 'archived_time', after: '-1d' } }), { message: 'filter: unknown timestamp "archived_time" (expected created_time or last_edited_time)' });
+});
+
+test('sorts accept fields, properties and timestamps', () => {
+  assert.deepEqual(query({
+    sorts: [
+      { field: 'client' },
+      { property: 'Status', direction: 'desc' },
+      { timestamp: 'created_time', direction: 'asc' }
+    ]
+  }).sorts, [
+    { property: 'Client', direction: 'ascending' },
+    { property: 'Status', direction: 'descending' },
+    { timestamp: 'created_time', direction: 'ascending' }
+  ]);
+  assert.throws(() => query({ sorts: [{ field: 'client', direction: 'up' }] }), { message: 'sorts[0]: direction must be "ascending" or "descending"' });
+});
+
+const SINCE = '2026-03-10T11:59:00.000Z';
+const editedCondition = { timestamp: 'last_edited_time', last_edited_time: { on_or_after: SINCE } };
+const sorts = [{ timestamp: 'created_time', direction: 'ascending' }];
+
+test('editedSinceQuery adds the condition to a query without a filter', () => {
+  assert.deepEqual(editedSinceQuery({ sorts }, SINCE), { sorts, filter: editedCondition });
+  assert.deepEqual(editedSinceQuery({}, SINCE), { filter: editedCondition });
+});
+
+test('editedSinceQuery appends to a top-level and', () => {
+  const condition = { property: 'Client', select: { equals: 'CBB' } };
+  const nested = { or: [condition, { property: 'Client', select: { equals: 'WL' } }] };
+  assert.deepEqual(editedSinceQuery({ filter: { and: [nested, condition] }, sorts }, SINCE), {
+    filter: { and: [nested, condition, editedCondition] },
+    sorts
+  });
+});
+
+test('editedSinceQuery wraps a single condition or a flat or', () => {
+  const condition = { property: 'Client', select: { equals: 'CBB' } };
+  assert.deepEqual(editedSinceQuery({ filter: condition }, SINCE).filter, { and: [condition, editedCondition] });
+  const flat = { or: [condition, condition] };
+  assert.deepEqual(editedSinceQuery({ filter: flat }, SINCE).filter, { and: [flat, editedCondition] });
+});
+
+test('editedSinceQuery gives up on an or that already nests compounds', () => {
+  const condition = { property: 'Client', select: { equals: 'CBB' } };
+  assert.equal(editedSinceQuery({ filter: { or: [condition, { and: [condition, condition] }] } }, SINCE), null);
+});
@@ -0,0 +1,161 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  parseAddress,
+  parseRecipientList,
+  loadRecipientsFile,
+  loadSuppressionList,
+  resolveAudience,
+  personalizeGreeting,
+  toAddress
+} from '../scripts/utils/recipients.mjs';
+import { createWorkDir } from './helpers.mjs';
+
+let workDir;
+
+before(() => {
+  workDir = createWorkDir('recipients');
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function writeFile(name, content) {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+const noSuppressions = { size: 0, isSuppressed: () => false };
+
+test('parseAddress accepts plain, named and object entries', () => {
+  assert.deepEqual(parseAddress('pat@example.com'), { email: 'pat@example.com' });
+  assert.deepEqual(parseAddress(' Pat Lee <pat@example.com> '), { email: 'pat@example.com', name: 'Pat Lee' });
+  assert.deepEqual(parseAddress('"Lee, Pat" <pat@example.com>'), { email: 'pat@example.com', name: 'Lee, Pat' });
+  assert.deepEqual(parseAddress({ email: ' sam@example.com ', name: ' Sam ' }), { email: 'sam@example.com', name: 'Sam' });
+  assert.deepEqual(parseAddress({ email: 'sam@example.com', name: '' }), { email: 'sam@example.com' });
+});
+
+test('parseAddress rejects invalid addresses', () => {
+  ['', 'pat', 'pat@', 'pat@example', 'pat@example.c', 'pat smith@example.com', 'a@b@example.com', 'Pat <>'].forEach(entry => {
+    assert.equal(parseAddress(entry), null, entry);
+  });
+  assert.equal(parseAddress({ name: 'Pat' }), null);
+  assert.equal(parseAddress(null), null);
+  assert.equal(parseAddress(42), null);
+});
+
+test('parseRecipientList splits on commas and reports invalid entries', () => {
+  assert.deepEqual(parseRecipientList(' a@example.com, Pat <pat@example.com>,, nope '), {
+    recipients: [{ email: 'a@example.com' }, { email: 'pat@example.com', name: 'Pat' }],
+    invalid: ['nope']
+  });
+  assert.deepEqual(parseRecipientList(undefined), { recipients: [], invalid: [] });
+});
+
+test('loadSuppressionList matches addresses and whole domains ignoring case', () => {
+  const suppressions = loadSuppressionList(writeFile('suppressions.txt', [
+    '# Bounced',
+    'Gone@Example.com',
+    '',
+    '@former-client.example  # contract ended'
+  ].join('\n')));
+  assert.equal(suppressions.size, 2);
+  assert.equal(suppressions.isSuppressed('gone@example.com'), true);
+  assert.equal(suppressions.isSuppressed('anyone@FORMER-CLIENT.example'), true);
+  assert.equal(suppressions.isSuppressed('pat@example.com'), false);
+  // Only the domain itself, not addresses that merely end the same way
+  assert.equal(suppressions.isSuppressed('pat@not-former-client.example'), false);
+});
+
+test('loadSuppressionList treats a missing file as empty', () => {
+  const suppressions = loadSuppressionList(path.join(workDir, 'missing.txt'));
+  assert.equal(suppressions.size, 0);
+  assert.equal(suppressions.isSuppressed('pat@example.com'), false);
+});
+
+test('resolveAudience keeps each address in the first group only', () => {
+  const { groups, duplicates, suppressed } = resolveAudience([
+    { name: 'leadership', members: [{ email: 'pat@example.com' }, { email: 'sam@example.com' }] },
+    { name: 'team', members: [{ email: 'PAT@example.com' }, { email: 'kim@example.com' }] },
+    { name: 'observers', members: [{ email: 'sam@example.com' }] }
+  ], noSuppressions);
+  assert.deepEqual(groups.map(group => [group.name, group.members.map(member => member.email)]), [
+    ['leadership', ['pat@example.com', 'sam@example.com']],
+    ['team', ['kim@example.com']]
+  ]);
+  assert.deepEqual(duplicates, ['PAT@example.com', 'sam@example.com']);
+  assert.deepEqual(suppressed, []);
+});
+
+test('resolveAudience drops suppressed addresses and empty groups', () => {
+  const suppressions = loadSuppressionList(writeFile('domain.txt', '@former-client.example\n'));
+  const { groups, suppressed } = resolveAudience([
+    { name: 'client', members: [{ email: 'a@former-client.example' }, { email: 'b@former-client.example' }] },
+    { name: 'team', members: [{ email: 'kim@example.com' }] }
+  ], suppressions);
+  assert.deepEqual(groups.map(group => group.name), ['team']);
+  assert.deepEqual(suppressed, ['a@former-client.example', 'b@former-client.example']);
+});
+
+test('personalizeGreeting fills the merge fields', () => {
+  const group = { greeting: 'Hi {{firstName}} ({{ name }}, {{email}}),', defaultName: 'there' };
+  assert.equal(personalizeGreeting(group, { email: 'alex@example.com', name: 'Alex Kim' }), 'Hi Alex (Alex Kim, alex@example.com),');
+  assert.equal(personalizeGreeting(group, { email: 'ops@example.com' }), 'Hi there (there, ops@example.com),');
+  assert.equal(personalizeGreeting({ defaultName: 'there' }, { email: 'ops@example.com' }), null);
+});
+
+test('toAddress keeps the name when there is one', () => {
+  assert.deepEqual(toAddress({ email: 'pat@example.com', name: 'Pat Lee' }), { name: 'Pat Lee', address: 'pat@example.com' });
+  assert.deepEqual(toAddress({ email: 'pat@example.com' }), { address: 'pat@example.com' });
+});
+
+test('loadRecipientsFile normalizes groups and reports', () => {
+  const recipients = loadRecipientsFile(writeFile('recipients.json', {
+    groups: {
+      leadership: { members: ['Pat Lee <pat@example.com>'] },
+      cbb: { delivery: 'individual', greeting: 'Hi {{firstName}},', members: [{ email: 'alex@cbb.example.com', name: 'Alex Kim' }] }
+    },
+    reports: { internal: ['leadership'], cbb: ['cbb', 'leadership'] },
+    unsubscribe: 'mailto:status@example.com?subject=Unsubscribe'
+  }));
+  assert.deepEqual(recipients.groups.leadership, {
+    name: 'leadership',
+    delivery: 'bcc',
+    greeting: undefined,
+    defaultName: 'there',
+    members: [{ email: 'pat@example.com', name: 'Pat Lee' }]
+  });
+  assert.equal(recipients.groups.cbb.delivery, 'individual');
+  assert.deepEqual(recipients.reports, { internal: ['leadership'], cbb: ['cbb', 'leadership'] });
+  assert.equal(recipients.unsubscribe, 'mailto:status@example.com?subject=Unsubscribe');
+});
+
+test('loadRecipientsFile lists every problem at once', () => {
+  const filePath = writeFile('invalid.json', {
+    groups: {
+      Leadership: { members: ['not-an-address'] },
+      team: { delivery: 'cc', members: [] },
+      cbb: { greeting: 'Hi {{firstName}},', members: [] },
+      dlc: { delivery: 'individual', greeting: 'Dear {{title}},', members: [] }
+    },
+    reports: { internal: ['leadership'], cbb: [] },
+    unsubscribe: 'http://example.com/unsubscribe'
+  });
+  assert.throws(() => loadRecipientsFile(filePath), {
+    message: [
+      `Invalid recipients file ${filePath}:`,
+      'groups.Leadership: group names must be lowercase letters, digits and dashes',
+      'groups.Leadership.members[0]: invalid email address "not-an-address"',
+      'groups.team: "delivery" must be one of bcc, individual, to',
+      'groups.cbb: "greeting" needs "delivery": "individual" (a shared message cannot be personalized)',
+      'groups.dlc: unknown merge field {{title}} in "greeting" (use name, firstName, email)',
+      'reports.internal: unknown group "leadership"',
+      'reports.cbb: must be a non-empty array of group names',
+      '"unsubscribe" must be an https: or mailto: URL'
+    ].join('\n  ')
+  });
+});
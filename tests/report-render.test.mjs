@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ROOT, createWorkDir, runScript, readOutput } from './helpers.mjs';
+
+/**
+ * Renders a notion-raw.json with a hostile item and database label through
+ * generate-report.mjs and send-email.mjs --dry-run, and checks that none of
+ * their markup, script links or bidi overrides reach the HTML, email,
+ * markdown or text output.
+ */
+
+const HOSTILE_URL = 'javascript:alert(document.cookie)';
+const HOSTILE_LABEL = '<img src=x onerror=alert(6)>';
+const BIDI_PATTERN = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\uFEFF]/;
+
+const hostileItem = {
+  id: 'hostile-1',
+  name: '<script>alert(1)</script>Invoice \u202Efdp.exe',
+  status: 'In progress',
+  priority: '1 - Urgent',
+  updates: '<img src=x onerror=alert(1)> see [here](javascript:alert(2)) \u2066hidden\u2069',
+  client: 'CBB',
+  url: HOSTILE_URL,
+  source: HOSTILE_LABEL,
+  owner: '<b onmouseover="alert(3)">Mallory</b>',
+  dueDate: null,
+  lastEditedTime: '2026-01-05T10:00:00.000Z',
+  latestNote: {
+    source: 'comment',
+    text: '**Click** [me](javascript:alert(4)) <a href="javascript:alert(5)">now</a>\u202E',
+    createdTime: '2026-01-05T10:00:00.000Z'
+  }
+};
+
+const normalItem = {
+  id: 'normal-1',
+  name: 'Checkout redesign',
+  status: 'Not started',
+  priority: '2 - High',
+  updates: 'Waiting on copy',
+  client: 'DLC',
+  url: 'https://www.notion.so/Checkout-(redesign)-123',
+  source: 'Product Features',
+  lastEditedTime: '2026-01-04T10:00:00.000Z'
+};
+
+let workDir;
+const outputs = {};
+
+before(() => {
+  workDir = createWorkDir('report-render');
+  fs.mkdirSync(path.join(workDir, 'data'));
+  fs.writeFileSync(path.join(workDir, 'data', 'notion-raw.json'), JSON.stringify({
+    schemaVersion: 1,
+    databases: [
+      { id: 'db-1', label: 'Product Features', title: 'Product Features', itemCount: 1, pageCount: 1 },
+      // Labels and titles come from Notion or the database list, and reach
+      // the summary sentence when there is more than one board
+      { id: 'db-2', label: HOSTILE_LABEL, title: HOSTILE_LABEL, itemCount: 1, pageCount: 1 }
+    ],
+    items: [hostileItem, normalItem],
+    fetchedAt: '2026-01-05T12:00:00.000Z',
+    itemCount: 2
+  }));
+
+  runScript(workDir, 'generate-report.mjs', ['--format', 'html,markdown,text,json'], {
+    REPORT_CONFIG_PATH: path.join(ROOT, 'config', 'report.json'),
+    REPORT_TEMPLATE_PATH: path.join(ROOT, 'templates', 'status-report', 'report.html')
+  });
+  runScript(workDir, 'send-email.mjs', ['--dry-run'], {
+    EMAIL_RECIPIENTS: 'team@example.com',
+    EMAIL_CHART_IMAGES: 'text'
+  });
+
+  const read = file => readOutput(workDir, file);
+  outputs.html = read('NOTION_PROJECT_STATUS.html');
+  outputs.email = read('outbox/preview/internal.html');
+  outputs.eml = read('outbox/preview/internal.eml');
+  outputs.markdown = read('reports/internal.md');
+  outputs.text = read('reports/internal.txt');
+  outputs.json = read('reports/internal.json');
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+for (const format of ['html', 'email']) {
+  test(`${format} output has no injected markup or script links`, () => {
+    const html = outputs[format];
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;Invoice fdp.exe'), 'item name is shown escaped');
+    assert.doesNotMatch(html, /<script\b/i);
+    assert.doesNotMatch(html, /<img\b[^>]*onerror/i);
+    assert.doesNotMatch(html, /<[a-z][^>]*\son[a-z]+\s*=/i);
+    assert.doesNotMatch(html, /(href|src)\s*=\s*["']?\s*javascript:/i);
+    assert.doesNotMatch(html, /<b onmouseover/i);
+    assert.doesNotMatch(html, BIDI_PATTERN);
+  });
+}
+
+test('email message has no bidi overrides', () => {
+  assert.doesNotMatch(outputs.eml, BIDI_PATTERN);
+});
+
+test('markdown output has no raw HTML, script links or bidi overrides', () => {
+  const markdown = outputs.markdown;
+  assert.doesNotMatch(markdown, /<(script|img|a|b)\b/i);
+  assert.doesNotMatch(markdown, /(?<!\\)\]\(\s*javascript:/i);
+  assert.doesNotMatch(markdown, BIDI_PATTERN);
+  assert.ok(!markdown.includes(`(${HOSTILE_URL})`), 'rejected URL is not linked');
+});
+
+test('the database label stays text in the summary of every format', () => {
+  assert.ok(outputs.html.includes('&lt;img src=x onerror=alert(6)&gt;'), 'HTML summary escapes the label');
+  assert.ok(outputs.markdown.includes('from 2 boards (Product Features, &lt;img src=x onerror=alert(6)&gt;)'), 'Markdown summary escapes the label');
+  assert.ok(outputs.text.includes(`from 2 boards (Product Features, ${HOSTILE_LABEL})`), 'text summary shows the label as typed');
+  assert.ok(JSON.parse(outputs.json).summary.includes(HOSTILE_LABEL));
+});
+
+test('markdown links encode parentheses in the URL', () => {
+  assert.ok(outputs.markdown.includes('([Notion](https://www.notion.so/Checkout-%28redesign%29-123))'));
+});
+
+test('text output has no bidi overrides', () => {
+  assert.doesNotMatch(outputs.text, BIDI_PATTERN);
+});
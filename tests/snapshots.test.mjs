@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { diffSnapshots, loadSnapshotsBefore } from '../scripts/utils/snapshots.mjs';
+import { ROOT } from './helpers.mjs';
+
+/**
+ * Compares the two snapshots in data/fixtures/snapshots. Between them,
+ * fixture-a1 moves to review, fixture-a2 becomes urgent, fixture-a3 stays
+ * the same, fixture-a4 leaves the board and fixture-a5 is new.
+ */
+
+const SNAPSHOT_DIR = path.join(ROOT, 'data', 'fixtures', 'snapshots');
+const [previous, current] = loadSnapshotsBefore('9999', { dir: SNAPSHOT_DIR });
+
+const ids = items => items.map(item => item.id);
+
+test('loadSnapshotsBefore returns the fixture snapshots oldest first', () => {
+  assert.deepEqual([previous.fetchedAt, current.fetchedAt], ['2026-01-05T09:00:00.000Z', '2026-01-06T09:00:00.000Z']);
+  assert.deepEqual(loadSnapshotsBefore(current.fetchedAt, { dir: SNAPSHOT_DIR }).map(snapshot => snapshot.fetchedAt), [previous.fetchedAt]);
+});
+
+test('diffSnapshots needs a previous snapshot', () => {
+  assert.equal(diffSnapshots([], current), null);
+});
+
+test('diffSnapshots lists new and closed items', () => {
+  const diff = diffSnapshots([previous], current);
+  assert.equal(diff.previousFetchedAt, previous.fetchedAt);
+  assert.equal(diff.currentFetchedAt, current.fetchedAt);
+  assert.deepEqual(ids(diff.added), ['fixture-a5']);
+  assert.deepEqual(ids(diff.closed), ['fixture-a4']);
+});
+
+test('diffSnapshots lists status and priority changes with both values', () => {
+  const diff = diffSnapshots([previous], current);
+  assert.deepEqual(diff.statusChanged.map(({ item, from, to }) => [item.id, from, to]), [['fixture-a1', 'In progress', 'In review']]);
+  assert.deepEqual(diff.priorityChanged.map(({ item, from, to }) => [item.id, from, to]), [['fixture-a2', '2 - High', '1 - Urgent']]);
+});
+
+test('diffSnapshots lists items unchanged for staleRuns runs', () => {
+  assert.deepEqual(ids(diffSnapshots([previous], current, { staleRuns: 2 }).stale), ['fixture-a3']);
+  assert.deepEqual(ids(diffSnapshots([previous, previous], current, { staleRuns: 3 }).stale), ['fixture-a3']);
+});
+
+test('diffSnapshots lists no stale items until there is enough history', () => {
+  const diff = diffSnapshots([previous], current);
+  assert.equal(diff.staleRuns, 3);
+  assert.deepEqual(diff.stale, []);
+});
+
+test('diffSnapshots does not count an item changed in an earlier run as stale', () => {
+  // fixture-a2's priority changed between the fixtures, so it is not stale
+  // even though the current data matches the newer snapshot
+  const diff = diffSnapshots([previous, current], current, { staleRuns: 3 });
+  assert.deepEqual(ids(diff.stale), ['fixture-a3']);
+});